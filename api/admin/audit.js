@@ -0,0 +1,35 @@
+/**
+ * Admin Consent Audit Trail
+ * GET /api/admin/audit?email=...  and/or  ?shopifyId=...  [&limit=100]
+ * Requires Authorization: Bearer <ADMIN_API_TOKEN>
+ *
+ * Lists the recorded subscribe, unsubscribe and preference changes for a
+ * customer, newest first.
+ */
+
+import { requireAdmin } from '../../lib/admin.js';
+import { queryAudit } from '../../lib/audit.js';
+import { parseIdentity } from '../../lib/validation.js';
+import { ApiError } from '../../lib/errors.js';
+import { withApi } from '../../lib/middleware.js';
+
+const MAX_LIMIT = 500;
+
+async function handler(req, res) {
+  requireAdmin(req);
+
+  const { email, shopifyId } = parseIdentity(req.query);
+  if (!email && !shopifyId) {
+    throw new ApiError('IDENTITY_REQUIRED', 'email or shopifyId required');
+  }
+
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new ApiError('INVALID_FIELD', `limit must be an integer from 1 to ${MAX_LIMIT}`);
+  }
+
+  const records = await queryAudit({ email, shopifyId, limit });
+  return res.status(200).json({ success: true, count: records.length, records });
+}
+
+export default withApi(handler, { cacheControl: 'no-store', tenant: 'admin', label: 'Admin audit error' });
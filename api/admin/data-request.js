@@ -0,0 +1,42 @@
+/**
+ * Admin Data Request Exports
+ * GET /api/admin/data-request?id=<data_request.id>[&shop=...]
+ * Requires Authorization: Bearer <ADMIN_API_TOKEN>
+ *
+ * Returns the export a customers/data_request compliance webhook stored, so
+ * it can be passed on to the merchant. Exports are kept for 30 days.
+ */
+
+import { requireAdmin } from '../../lib/admin.js';
+import { getPrivacyRecord, requirePrivacyStore } from '../../lib/privacy.js';
+import { requireTenant } from '../../lib/tenants.js';
+import { ApiError } from '../../lib/errors.js';
+import { withApi } from '../../lib/middleware.js';
+
+// A store with one domain doesn't need to name it
+function resolveShop(req) {
+  const shop = req.query.shop || req.headers['x-shopify-shop-domain'];
+  if (shop) return String(shop).trim().toLowerCase();
+
+  const { shops } = requireTenant();
+  if (shops.length === 1) return shops[0];
+  throw new ApiError('SHOP_REQUIRED', 'shop is required');
+}
+
+async function handler(req, res) {
+  requireAdmin(req);
+  requirePrivacyStore();
+
+  const id = req.query.id;
+  if (!id) throw new ApiError('INVALID_FIELD', 'id is required');
+
+  const shop = resolveShop(req);
+  const record = await getPrivacyRecord(shop, 'data-request', id);
+  if (!record) {
+    throw new ApiError('DATA_REQUEST_NOT_FOUND', 'No stored export for this data request', 404);
+  }
+
+  return res.status(200).json({ success: true, requestId: id, shop, ...record });
+}
+
+export default withApi(handler, { cacheControl: 'no-store', tenant: 'admin', label: 'Admin data request error' });
@@ -0,0 +1,123 @@
+/**
+ * Admin Email Links
+ * POST   /api/admin/links   — issue signed unsubscribe / preference links
+ * DELETE /api/admin/links   — revoke a token, or every token for an email
+ * Requires Authorization: Bearer <ADMIN_API_TOKEN>
+ */
+
+import { requireAdmin } from '../../lib/admin.js';
+import { updateProfile } from '../../lib/profiles.js';
+import { findProfile } from '../../lib/identity.js';
+import {
+  createLinkToken,
+  revokeLinkToken,
+  revokeLinkTokensForEmail,
+  LINK_ACTIONS,
+} from '../../lib/link-tokens.js';
+import { parseIdentity, requireEmail } from '../../lib/validation.js';
+import { ApiError } from '../../lib/errors.js';
+import { withApi } from '../../lib/middleware.js';
+
+function getBaseUrl(req) {
+  if (process.env.PUBLIC_BASE_URL) return process.env.PUBLIC_BASE_URL.replace(/\/+$/, '');
+  return `https://${req.headers.host}`;
+}
+
+function parseActions(input) {
+  if (input === undefined) return Object.values(LINK_ACTIONS);
+  const allowed = Object.values(LINK_ACTIONS);
+  if (!Array.isArray(input) || !input.length || input.some(action => !allowed.includes(action))) {
+    throw new ApiError('INVALID_FIELD', `actions must contain one or more of: ${allowed.join(', ')}`);
+  }
+  return [...new Set(input)];
+}
+
+function parseTtlDays(input) {
+  if (input === undefined) return undefined;
+  if (!Number.isInteger(input) || input < 1 || input > 365) {
+    throw new ApiError('INVALID_FIELD', 'ttlDays must be an integer from 1 to 365');
+  }
+  return input;
+}
+
+async function issueLinks(req, body) {
+  const { email, shopifyId } = parseIdentity(body);
+  if (!email) throw new ApiError('EMAIL_REQUIRED', 'Email is required');
+
+  const actions = parseActions(body.actions);
+  const ttlDays = parseTtlDays(body.ttlDays);
+  const { token, payload } = createLinkToken({
+    email,
+    shopifyId,
+    actions,
+    ttlSeconds: ttlDays && ttlDays * 24 * 60 * 60,
+  });
+
+  const base = getBaseUrl(req);
+  const query = `token=${encodeURIComponent(token)}`;
+  const links = {
+    ...(actions.includes(LINK_ACTIONS.UNSUBSCRIBE) && { unsubscribeUrl: `${base}/api/email/unsubscribe?${query}` }),
+    ...(actions.includes(LINK_ACTIONS.PREFERENCES) && { preferencesUrl: `${base}/api/preference-center?${query}` }),
+  };
+
+  // Lets Klaviyo templates use {{ person.email_unsubscribe_url }} etc.
+  let savedToProfile = false;
+  if (body.saveToProfile) {
+    const profile = await findProfile({ email, shopifyId });
+    if (!profile) throw new ApiError('PROFILE_NOT_FOUND', 'Profile not found', 404);
+    await updateProfile(profile.id, {
+      properties: {
+        ...(links.unsubscribeUrl && { email_unsubscribe_url: links.unsubscribeUrl }),
+        ...(links.preferencesUrl && { email_preferences_url: links.preferencesUrl }),
+      },
+    });
+    savedToProfile = true;
+  }
+
+  return {
+    token,
+    tokenId: payload.jti,
+    actions,
+    expiresAt: new Date(payload.exp * 1000).toISOString(),
+    ...links,
+    ...(links.unsubscribeUrl && {
+      headers: {
+        'List-Unsubscribe': `<${links.unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+      },
+    }),
+    savedToProfile,
+  };
+}
+
+async function revokeLinks(body) {
+  if (body.token) {
+    const payload = await revokeLinkToken(body.token);
+    return { revoked: 'token', tokenId: payload.jti };
+  }
+  if (body.email) {
+    const email = requireEmail(body.email);
+    const revokedBefore = await revokeLinkTokensForEmail(email);
+    return { revoked: 'email', email, issuedBefore: new Date(revokedBefore * 1000).toISOString() };
+  }
+  throw new ApiError('INVALID_FIELD', 'token or email is required');
+}
+
+async function handler(req, res) {
+  requireAdmin(req);
+  const { body } = req;
+
+  if (req.method === 'POST') {
+    return res.status(200).json({ success: true, data: await issueLinks(req, body) });
+  }
+  // DELETE
+  return res.status(200).json({ success: true, data: await revokeLinks(body) });
+}
+
+export default withApi(handler, {
+  methods: ['POST', 'DELETE'],
+  body: 'json',
+  cacheControl: 'no-store',
+  tenant: 'admin',
+  label: 'Admin links error',
+});
@@ -0,0 +1,41 @@
+/**
+ * Admin Profile Inspector
+ * GET /api/admin/profile?email=...  or  ?shopifyId=...
+ * Requires Authorization: Bearer <ADMIN_API_TOKEN>
+ *
+ * Shows a customer's Klaviyo profile as Klaviyo returns it alongside the
+ * formatted view the storefront receives, for support investigations.
+ */
+
+import { requireAdmin } from '../../lib/admin.js';
+import { findProfile } from '../../lib/identity.js';
+import { getProfileListIds } from '../../lib/lists.js';
+import { formatProfileResponse } from '../../lib/profile-format.js';
+import { parseIdentity } from '../../lib/validation.js';
+import { ApiError } from '../../lib/errors.js';
+import { withApi } from '../../lib/middleware.js';
+
+async function handler(req, res) {
+  requireAdmin(req);
+
+  const { email, shopifyId } = parseIdentity(req.query);
+  if (!email && !shopifyId) {
+    throw new ApiError('IDENTITY_REQUIRED', 'email or shopifyId required');
+  }
+
+  const profile = await findProfile({ email, shopifyId });
+
+  if (!profile) throw new ApiError('PROFILE_NOT_FOUND', 'Profile not found', 404);
+
+  const listIds = await getProfileListIds(profile.id);
+  return res.status(200).json({
+    success: true,
+    data: {
+      raw: profile,
+      listIds: [...listIds],
+      formatted: formatProfileResponse(profile, { listIds }),
+    },
+  });
+}
+
+export default withApi(handler, { cacheControl: 'no-store', tenant: 'admin', label: 'Admin profile error' });
@@ -0,0 +1,57 @@
+/**
+ * Admin Consent Reconciliation
+ * GET  /api/admin/reconcile   — the last run's report
+ * POST /api/admin/reconcile   — run now: { fix, limit, restart }
+ * Requires Authorization: Bearer <ADMIN_API_TOKEN>
+ *
+ * Compares Shopify's email marketing consent with Klaviyo's for the next
+ * slice of customers, the same as the scheduled job (/api/cron/reconcile).
+ * Reports only, unless `fix` is true.
+ */
+
+import { requireAdmin } from '../../lib/admin.js';
+import {
+  reconcileConsent,
+  getReconcileReport,
+  DEFAULT_RECONCILE_LIMIT,
+  MAX_RECONCILE_LIMIT,
+} from '../../lib/reconcile.js';
+import { ApiError } from '../../lib/errors.js';
+import { withApi } from '../../lib/middleware.js';
+
+// Long enough for a few thousand profile lookups
+export const config = { maxDuration: 300 };
+
+function readRunOptions(body = {}) {
+  const limit = body.limit === undefined ? DEFAULT_RECONCILE_LIMIT : Number(body.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RECONCILE_LIMIT) {
+    throw new ApiError('INVALID_FIELD', `limit must be an integer from 1 to ${MAX_RECONCILE_LIMIT}`);
+  }
+  for (const field of ['fix', 'restart']) {
+    if (body[field] !== undefined && typeof body[field] !== 'boolean') {
+      throw new ApiError('INVALID_FIELD', `${field} must be true or false`);
+    }
+  }
+  return { fix: body.fix === true, limit, restart: body.restart === true };
+}
+
+async function handler(req, res) {
+  requireAdmin(req);
+
+  if (req.method === 'GET') {
+    const report = await getReconcileReport();
+    if (!report) throw new ApiError('REPORT_NOT_FOUND', 'No reconciliation has run yet', 404);
+    return res.status(200).json({ success: true, data: report });
+  }
+
+  const report = await reconcileConsent(req, readRunOptions(req.body));
+  return res.status(200).json({ success: true, data: report });
+}
+
+export default withApi(handler, {
+  methods: ['GET', 'POST'],
+  body: 'json',
+  cacheControl: 'no-store',
+  tenant: 'admin',
+  label: 'Admin reconcile error',
+});
@@ -0,0 +1,72 @@
+/**
+ * Admin Formatting Replay
+ * POST /api/admin/replay
+ * Requires Authorization: Bearer <ADMIN_API_TOKEN>
+ *
+ * Re-runs the profile and preference formatting on a profile, to see why a
+ * customer is shown what they are. Send either a stored Klaviyo profile
+ * (e.g. `raw` from /api/admin/profile) as `profile`, or an `email` /
+ * `shopifyId` to replay against the live profile.
+ */
+
+import { requireAdmin } from '../../lib/admin.js';
+import { findProfile } from '../../lib/identity.js';
+import { formatProfileResponse } from '../../lib/profile-format.js';
+import { getPreferenceSchema, parsePreference, readPreferences } from '../../lib/preferences.js';
+import { parseIdentity } from '../../lib/validation.js';
+import { ApiError } from '../../lib/errors.js';
+import { withApi } from '../../lib/middleware.js';
+
+async function loadProfile(body) {
+  if (body.profile !== undefined) {
+    const { profile } = body;
+    if (!profile || typeof profile !== 'object' || typeof profile.attributes !== 'object') {
+      throw new ApiError('INVALID_PROFILE', 'profile must be a Klaviyo profile object with attributes');
+    }
+    return { source: 'provided', profile };
+  }
+
+  const { email, shopifyId } = parseIdentity(body);
+  if (!email && !shopifyId) {
+    throw new ApiError('IDENTITY_REQUIRED', 'profile, email or shopifyId required');
+  }
+
+  const profile = await findProfile({ email, shopifyId });
+  if (!profile) throw new ApiError('PROFILE_NOT_FOUND', 'Profile not found', 404);
+  return { source: 'fetched', profile };
+}
+
+async function handler(req, res) {
+  requireAdmin(req);
+
+  const { body } = req;
+  const { source, profile } = await loadProfile(body);
+  const listIds = Array.isArray(body.listIds) ? new Set(body.listIds.map(String)) : undefined;
+
+  const properties = profile.attributes?.properties || {};
+  const categories = getPreferenceSchema().dimensions.find(d => d.key === 'categories');
+  const rawPreference = categories ? properties[categories.property] : undefined;
+
+  return res.status(200).json({
+    success: true,
+    data: {
+      source,
+      formatted: formatProfileResponse(profile, { listIds }),
+      preference: {
+        raw: rawPreference ?? null,
+        parsed: parsePreference(rawPreference),
+      },
+      preferences: readPreferences(properties),
+    },
+  });
+}
+
+export default withApi(handler, {
+  methods: ['POST'],
+  body: 'json',
+  // Accepts a whole raw profile
+  maxBodyBytes: 256 * 1024,
+  cacheControl: 'no-store',
+  tenant: 'admin',
+  label: 'Admin replay error',
+});
@@ -0,0 +1,50 @@
+/**
+ * Scheduled Consent Reconciliation
+ * GET /api/cron/reconcile
+ * Requires Authorization: Bearer <CRON_SECRET> (sent by Vercel Cron)
+ *
+ * Runs on the schedule in vercel.json. For every store with Shopify Admin
+ * API access, checks the next RECONCILE_BATCH_SIZE customers' email consent
+ * against Klaviyo; fixes mismatches only when RECONCILE_FIX=true. Each
+ * store's report is kept for GET /api/admin/reconcile.
+ */
+
+import { requireCron } from '../../lib/admin.js';
+import { reconcileConsent, DEFAULT_RECONCILE_LIMIT, MAX_RECONCILE_LIMIT } from '../../lib/reconcile.js';
+import { isShopifyAdminConfigured } from '../../lib/shopify-admin.js';
+import { getTenants, runWithTenant } from '../../lib/tenants.js';
+import { reportError } from '../../lib/errors.js';
+import { withApi } from '../../lib/middleware.js';
+
+export const config = { maxDuration: 300 };
+
+function batchSize() {
+  const limit = Number(process.env.RECONCILE_BATCH_SIZE) || DEFAULT_RECONCILE_LIMIT;
+  return Math.min(Math.max(1, Math.floor(limit)), MAX_RECONCILE_LIMIT);
+}
+
+async function reconcileTenant(req, tenant) {
+  if (!isShopifyAdminConfigured(tenant)) return { tenant: tenant.id, status: 'not_configured' };
+  try {
+    const report = await reconcileConsent(req, { fix: process.env.RECONCILE_FIX === 'true', limit: batchSize() });
+    const { mismatches, errors, ...summary } = report;
+    return { tenant: tenant.id, status: 'ok', ...summary, mismatched: mismatches.length };
+  } catch (error) {
+    const apiError = reportError(req, error, `Reconcile error (${tenant.id})`);
+    return { tenant: tenant.id, status: 'failed', code: apiError.code };
+  }
+}
+
+// One store at a time, to stay inside each account's API rate limits
+async function handler(req, res) {
+  requireCron(req);
+
+  const tenants = [];
+  for (const tenant of getTenants()) {
+    tenants.push(await runWithTenant(tenant, () => reconcileTenant(req, tenant)));
+  }
+  const failed = tenants.some(tenant => tenant.status === 'failed');
+  return res.status(failed ? 500 : 200).json({ success: !failed, tenants });
+}
+
+export default withApi(handler, { cacheControl: 'no-store', tenant: false, label: 'Reconcile error' });
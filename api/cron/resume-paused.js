@@ -0,0 +1,56 @@
+/**
+ * Scheduled Pause Expiry
+ * GET /api/cron/resume-paused
+ * Requires Authorization: Bearer <CRON_SECRET> (sent by Vercel Cron)
+ *
+ * Runs on the schedule in vercel.json. For every store with a paused segment
+ * configured, clears the pause on its profiles whose email_paused_until has
+ * passed, so they drop out of the segment and get emails again.
+ */
+
+import { requireCron } from '../../lib/admin.js';
+import { findExpiredPauses, isPauseExpiryConfigured, PAUSE_EXPIRY_SOURCE } from '../../lib/pause.js';
+import { resumeCustomer } from '../../lib/customer-actions.js';
+import { getTenants, runWithTenant } from '../../lib/tenants.js';
+import { reportError } from '../../lib/errors.js';
+import { withApi } from '../../lib/middleware.js';
+
+export const config = { maxDuration: 300 };
+
+async function resumeTenant(req, tenant) {
+  if (!isPauseExpiryConfigured(tenant)) return { tenant: tenant.id, status: 'not_configured' };
+
+  let profiles;
+  try {
+    profiles = await findExpiredPauses();
+  } catch (error) {
+    const apiError = reportError(req, error, `Pause expiry error (${tenant.id})`);
+    return { tenant: tenant.id, status: 'failed', code: apiError.code };
+  }
+
+  let resumed = 0;
+  let failed = 0;
+  for (const profile of profiles) {
+    try {
+      await resumeCustomer(req, { profile, source: PAUSE_EXPIRY_SOURCE });
+      resumed++;
+    } catch (error) {
+      reportError(req, error, `Resuming ${profile.id} failed`);
+      failed++;
+    }
+  }
+  return { tenant: tenant.id, status: failed ? 'failed' : 'ok', resumed, failed };
+}
+
+async function handler(req, res) {
+  requireCron(req);
+
+  const tenants = [];
+  for (const tenant of getTenants()) {
+    tenants.push(await runWithTenant(tenant, () => resumeTenant(req, tenant)));
+  }
+  const failed = tenants.some(tenant => tenant.status === 'failed');
+  return res.status(failed ? 500 : 200).json({ success: !failed, tenants });
+}
+
+export default withApi(handler, { cacheControl: 'no-store', tenant: false, label: 'Pause expiry error' });
@@ -0,0 +1,53 @@
+/**
+ * One-Click Email Unsubscribe (RFC 8058)
+ * GET  /api/email/unsubscribe?token=...   — checks the link
+ * POST /api/email/unsubscribe?token=...   — unsubscribes from email marketing
+ *
+ * Use the URL in an email's `List-Unsubscribe` header together with
+ * `List-Unsubscribe-Post: List-Unsubscribe=One-Click`. Mail providers POST
+ * `List-Unsubscribe=One-Click` without cookies, so the signed token is the
+ * only credential. GET never unsubscribes, since link scanners follow URLs.
+ */
+
+import { EMAIL_LINK_SOURCE } from '../../lib/subscriptions.js';
+import { unsubscribeCustomer } from '../../lib/customer-actions.js';
+import { jobReference } from '../../lib/jobs.js';
+import { EVENTS } from '../../lib/events.js';
+import { authenticateLinkToken, maskEmail, LINK_ACTIONS } from '../../lib/link-tokens.js';
+import { ApiError } from '../../lib/errors.js';
+import { withApi } from '../../lib/middleware.js';
+
+async function handler(req, res) {
+  const token = req.query?.token;
+  if (!token) throw new ApiError('LINK_TOKEN_REQUIRED', 'token query parameter is required');
+
+  const identity = await authenticateLinkToken(token, LINK_ACTIONS.UNSUBSCRIBE);
+  const { email, shopifyId } = identity;
+
+  if (req.method === 'GET') {
+    return res.status(200).json({ success: true, data: { email: maskEmail(email) } });
+  }
+
+  const channels = ['email'];
+  const { job } = await unsubscribeCustomer(req, {
+    email,
+    shopifyId,
+    channels,
+    source: EMAIL_LINK_SOURCE,
+    event: EVENTS.EMAIL_LINK_UNSUBSCRIBED,
+  });
+
+  return res.status(200).json({
+    success: true,
+    unsubscribed: true,
+    scope: 'global',
+    channels,
+    job: jobReference(job),
+  });
+}
+
+export default withApi(handler, {
+  methods: ['GET', 'POST'],
+  cacheControl: 'no-store',
+  label: 'One-click unsubscribe error',
+});
@@ -1,33 +1,84 @@
 /**
  * Health Check Endpoint
  * GET /api/health
- * 
- * Use this to verify your Vercel deployment is working
+ * GET /api/health?deep=true   (requires Authorization: Bearer <ADMIN_API_TOKEN>)
+ *
+ * Use this to verify your Vercel deployment is working. Deep mode calls
+ * Klaviyo to confirm the key, its scopes and the newsletter list, and
+ * returns 503 when anything needed is broken. With several stores in
+ * config/tenants.js, each tenant is reported separately.
  */
 
-export default function handler(req, res) {
-  // Set CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+import { requireAdmin } from '../lib/admin.js';
+import { checkKlaviyoReadiness } from '../lib/readiness.js';
+import { getTenants, isMultiTenant, runWithTenant, tenantEnvVar } from '../lib/tenants.js';
+import { withApi } from '../lib/middleware.js';
 
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
+// Which required settings are present, named after the env vars that hold them
+function environmentStatus(tenant) {
+  const mark = value => (value ? '✓ Set' : '✗ Missing');
+  return {
+    [tenantEnvVar(tenant, 'KLAVIYO_PRIVATE_API_KEY')]: mark(tenant.klaviyoPrivateApiKey),
+    [tenantEnvVar(tenant, 'KLAVIYO_PUBLIC_API_KEY')]: mark(tenant.klaviyoPublicApiKey),
+    ...(isMultiTenant()
+      ? { newsletterListId: mark(tenant.newsletterListId) }
+      : { KLAVIYO_NEWSLETTER_LIST_ID: mark(tenant.newsletterListId) }),
+  };
+}
+
+function describeTenant({ id, name, shops }) {
+  return { id, name, shops };
+}
+
+async function deepCheck(req, res) {
+  requireAdmin(req);
+  const timestamp = new Date().toISOString();
+
+  if (!isMultiTenant()) {
+    const [tenant] = getTenants();
+    const klaviyo = await runWithTenant(tenant, checkKlaviyoReadiness);
+    return res.status(klaviyo.ready ? 200 : 503).json({
+      success: klaviyo.ready,
+      status: klaviyo.ready ? 'ready' : 'not_ready',
+      timestamp,
+      klaviyo,
+    });
   }
 
-  // Check if environment variables are set
-  const hasPrivateKey = !!process.env.KLAVIYO_PRIVATE_API_KEY;
-  const hasPublicKey = !!process.env.KLAVIYO_PUBLIC_API_KEY;
-  const hasListId = !!process.env.KLAVIYO_NEWSLETTER_LIST_ID;
+  const tenants = await Promise.all(getTenants().map(async tenant => {
+    const klaviyo = await runWithTenant(tenant, checkKlaviyoReadiness);
+    return { ...describeTenant(tenant), status: klaviyo.ready ? 'ready' : 'not_ready', klaviyo };
+  }));
+  const ready = tenants.every(tenant => tenant.status === 'ready');
+  return res.status(ready ? 200 : 503).json({
+    success: ready,
+    status: ready ? 'ready' : 'not_ready',
+    timestamp,
+    tenants,
+  });
+}
+
+// Reports on every tenant, so it runs outside any one tenant's scope
+async function handler(req, res) {
+  if (req.query?.deep === 'true') return await deepCheck(req, res);
 
-  return res.status(200).json({
+  const body = {
     success: true,
     message: 'Klaviyo API is running',
     timestamp: new Date().toISOString(),
-    environment: {
-      KLAVIYO_PRIVATE_API_KEY: hasPrivateKey ? '✓ Set' : '✗ Missing',
-      KLAVIYO_PUBLIC_API_KEY: hasPublicKey ? '✓ Set' : '✗ Missing',
-      KLAVIYO_NEWSLETTER_LIST_ID: hasListId ? '✓ Set' : '✗ Missing'
-    }
+  };
+  if (!isMultiTenant()) {
+    return res.status(200).json({ ...body, environment: environmentStatus(getTenants()[0]) });
+  }
+  return res.status(200).json({
+    ...body,
+    tenants: getTenants().map(tenant => ({ ...describeTenant(tenant), environment: environmentStatus(tenant) })),
   });
 }
+
+export default withApi(handler, {
+  cors: true,
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  tenant: false,
+  label: 'Health check error',
+});
@@ -0,0 +1,42 @@
+/**
+ * Subscription Job Status
+ * GET /api/jobs?id=job_...
+ *
+ * Reports whether a subscribe/unsubscribe request returned by
+ * /api/subscribe or /api/unsubscribe has been applied in Klaviyo.
+ */
+
+import { getJob, refreshJob } from '../lib/jobs.js';
+import { isProxyModeEnabled, authenticateProxyRequest } from '../lib/shopify-proxy.js';
+import { ApiError } from '../lib/errors.js';
+import { withApi } from '../lib/middleware.js';
+
+async function handler(req, res) {
+  const { id } = req.query;
+  if (!id) throw new ApiError('JOB_ID_REQUIRED', 'id query parameter is required');
+
+  // Proxied customers may only see their own jobs
+  const customer = isProxyModeEnabled() ? authenticateProxyRequest(req) : null;
+  const job = await getJob(id);
+  if (!job || (customer && job.shopifyId !== customer.shopifyId)) {
+    throw new ApiError('JOB_NOT_FOUND', 'Job not found', 404);
+  }
+
+  const current = await refreshJob(job);
+  return res.status(200).json({
+    success: true,
+    data: {
+      id: current.id,
+      type: current.type,
+      status: current.status,
+      reason: current.reason,
+      channels: current.channels,
+      listId: current.listId,
+      createdAt: current.createdAt,
+      updatedAt: current.updatedAt,
+      finishedAt: current.finishedAt,
+    },
+  });
+}
+
+export default withApi(handler, { cors: true, label: 'Jobs error' });
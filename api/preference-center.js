@@ -0,0 +1,224 @@
+/**
+ * Hosted Preference Center
+ * GET  /api/preference-center?token=...   — renders the page
+ * POST /api/preference-center?token=...   — form post: action=subscribe,
+ *                                           unsubscribe, pause, resume or
+ *                                           preferences
+ *
+ * A complete HTML page for places without the account page section: emails
+ * (with a link token from /api/admin/links), headless storefronts and other
+ * sites. Through the Shopify App Proxy the logged-in customer is used
+ * instead of a token. Themed by config/preference-center.js.
+ */
+
+import { findProfile } from '../lib/identity.js';
+import { getDefaultList } from '../lib/lists.js';
+import { formatConsent, formatProfileResponse } from '../lib/profile-format.js';
+import { getPreferenceSchema, publicSchema, readPreferences, resolvePreferenceUpdate } from '../lib/preferences.js';
+import { PREFERENCE_CENTER_SOURCE } from '../lib/subscriptions.js';
+import {
+  subscribeCustomer,
+  unsubscribeCustomer,
+  pauseCustomer,
+  resumeCustomer,
+  updateCustomerPreferences,
+} from '../lib/customer-actions.js';
+import { parsePauseDays, PAUSE_DAYS } from '../lib/pause.js';
+import { getUnsubscribeReasons, parseUnsubscribeReason } from '../lib/unsubscribe-reasons.js';
+import { checkSubscribeSender, checkSubscribeEmail } from '../lib/abuse.js';
+import { authenticateLinkToken, maskEmail, LinkTokenError, LINK_ACTIONS } from '../lib/link-tokens.js';
+import { isProxyModeEnabled, resolveCustomerIdentity, resolveProxiedEmail } from '../lib/shopify-proxy.js';
+import { getRequestId } from '../lib/request.js';
+import { getLocale, translateError } from '../lib/i18n.js';
+import {
+  getPreferenceCenterTheme,
+  getPreferenceCenterText,
+  renderPreferenceCenterPage,
+} from '../lib/preference-center.js';
+import { ApiError, reportError } from '../lib/errors.js';
+import { withApi } from '../lib/middleware.js';
+
+// Unlike the JSON endpoints the page never trusts an email from the query
+// string: it is meant to be linked to, so it needs a link token or a
+// signed App Proxy request.
+async function resolveVisitor(req, form) {
+  const token = req.query?.token;
+  if (token) return await authenticateLinkToken(token, LINK_ACTIONS.PREFERENCES);
+  if (isProxyModeEnabled()) return resolveCustomerIdentity(req, form);
+  throw new ApiError('LINK_TOKEN_REQUIRED', 'Please open this page from the link in one of our emails');
+}
+
+function emailStatus(consent) {
+  if (consent.isSubscribed) return 'subscribed';
+  if (consent.isPendingConfirmation) return 'pending';
+  if (consent.isSuppressed) return 'suppressed';
+  if (consent.isUnsubscribed) return 'unsubscribed';
+  return 'never_subscribed';
+}
+
+function canUnsubscribe(visitor) {
+  return !visitor.linkTokenId || visitor.linkActions?.includes(LINK_ACTIONS.UNSUBSCRIBE);
+}
+
+// Turns `pref_<key>` fields back into a `preferences` object. Unticked
+// checkboxes aren't posted, so a missing multi dimension means none.
+function readPreferenceForm(form, schema) {
+  const preferences = {};
+  for (const { key, type } of schema.dimensions) {
+    const value = form[`pref_${key}`];
+    preferences[key] = type === 'multi' ? [].concat(value ?? []) : value || null;
+  }
+  return preferences;
+}
+
+// Runs the posted action and returns the success message, plus the email
+// status to show while Klaviyo processes a subscription job.
+async function performAction(req, visitor, form, { text, schema, locale }) {
+  // A link token shows the customer received our email; anyone else
+  // subscribing gets the same checks as /api/subscribe
+  const checkSubscribe = form.action === 'subscribe' && !visitor.linkTokenId;
+  if (checkSubscribe) await checkSubscribeSender(req, form);
+
+  // The customer actions resolve the profile for `email` themselves; it is
+  // only looked up here for App Proxy visitors, who come without one
+  const profile = visitor.email ? null : await findProfile(visitor);
+  let email = visitor.email || profile?.attributes?.email;
+  const { shopifyId } = visitor;
+  const source = PREFERENCE_CENTER_SOURCE;
+
+  if (form.action === 'subscribe') {
+    // An App Proxy visitor without a profile yet can sign up from here
+    if (!email && visitor.proxied) email = await resolveProxiedEmail(visitor);
+    if (!email) throw new ApiError('EMAIL_REQUIRED', 'Email is required');
+    if (checkSubscribe) await checkSubscribeEmail(req, form, email);
+
+    const { pending } = await subscribeCustomer(req, {
+      email,
+      shopifyId,
+      profile,
+      channels: ['email'],
+      list: getDefaultList(),
+      source,
+      locale,
+    });
+    return pending
+      ? { message: text.pendingConfirmation, status: 'pending' }
+      : { message: text.subscribed, status: 'subscribed' };
+  }
+
+  if (form.action === 'unsubscribe' || form.action === 'pause') {
+    if (!canUnsubscribe(visitor)) {
+      throw new LinkTokenError('LINK_TOKEN_ACTION_NOT_ALLOWED', 'This link cannot be used for that', 403);
+    }
+    if (!profile && !visitor.email) throw new ApiError('PROFILE_NOT_FOUND', 'Profile not found', 404);
+
+    if (form.action === 'pause') {
+      const days = parsePauseDays(form.pauseDays);
+      await pauseCustomer(req, { email, shopifyId, profile, days, source });
+      return { message: text.paused };
+    }
+
+    const reason = parseUnsubscribeReason(form);
+    await unsubscribeCustomer(req, { email, shopifyId, profile, channels: ['email'], source, reason });
+    return { message: text.unsubscribed, status: 'unsubscribed' };
+  }
+
+  if (form.action === 'resume') {
+    const current = profile || await findProfile(visitor);
+    if (!current) throw new ApiError('PROFILE_NOT_FOUND', 'Profile not found', 404);
+    await resumeCustomer(req, { profile: current, shopifyId, source });
+    return { message: text.resumed };
+  }
+
+  if (form.action === 'preferences') {
+    const preferences = readPreferenceForm(form, schema);
+    const { values, errors } = resolvePreferenceUpdate({ preferences }, getPreferenceSchema(), locale);
+    if (errors.length) {
+      throw new ApiError('INVALID_PREFERENCES', errors.join('; '), 400, { details: errors });
+    }
+    await updateCustomerPreferences(req, { ...visitor, values, source, locale });
+    return { message: text.preferencesSaved };
+  }
+
+  throw new ApiError('INVALID_ACTION', 'Unknown action');
+}
+
+async function loadCustomer(visitor, status) {
+  const profile = formatProfileResponse(await findProfile(visitor));
+  const email = profile?.email || visitor.email;
+  const consent = profile?.subscription.email || formatConsent();
+  return {
+    // A forwarded email link shouldn't reveal the full address
+    email: email && visitor.linkTokenId ? maskEmail(email) : email,
+    status: status || emailStatus(consent),
+    pausedUntil: status ? null : consent.pausedUntil,
+    preferences: profile?.preferences || readPreferences(),
+    canUnsubscribe: canUnsubscribe(visitor),
+    askEmail: !email,
+  };
+}
+
+// Page chrome in the visitor's locale
+function pageContext(req, res) {
+  const locale = getLocale(req);
+  res.setHeader('Content-Language', locale);
+  // The token is in the URL; keep it out of Referer headers
+  res.setHeader('Referrer-Policy', 'no-referrer');
+
+  const theme = getPreferenceCenterTheme();
+  return {
+    locale,
+    theme,
+    text: getPreferenceCenterText(theme, locale),
+    schema: publicSchema(getPreferenceSchema(), locale),
+    unsubscribeOptions: { pauseDays: PAUSE_DAYS, reasons: getUnsubscribeReasons(locale) },
+  };
+}
+
+function errorNotice(req, res, error, locale) {
+  const apiError = reportError(req, error, 'Preference center error');
+  if (apiError.retryAfter) res.setHeader('Retry-After', String(apiError.retryAfter));
+  return {
+    status: apiError.status,
+    notice: { type: 'error', message: translateError(locale, apiError), requestId: getRequestId(req) },
+  };
+}
+
+// Errors before the page could be loaded (wrong method, oversized body,
+// no token) render the page with only the notice
+function renderErrorPage(req, res, error) {
+  const context = pageContext(req, res);
+  const { status, notice } = errorNotice(req, res, error, context.locale);
+  return res.status(status).send(renderPreferenceCenterPage({ ...context, notice }));
+}
+
+async function handler(req, res) {
+  const context = pageContext(req, res);
+  const form = req.method === 'POST' ? req.body : {};
+  const visitor = await resolveVisitor(req, form);
+
+  // A failed action still renders the page, with the error above it
+  let statusCode = 200;
+  let notice = null;
+  let status;
+  if (req.method === 'POST') {
+    try {
+      const result = await performAction(req, visitor, form, context);
+      status = result.status;
+      notice = { type: 'success', message: result.message };
+    } catch (error) {
+      ({ status: statusCode, notice } = errorNotice(req, res, error, context.locale));
+    }
+  }
+
+  const customer = await loadCustomer(visitor, status);
+  return res.status(statusCode).send(renderPreferenceCenterPage({ ...context, customer, notice }));
+}
+
+export default withApi(handler, {
+  methods: ['GET', 'POST'],
+  body: 'form',
+  contentType: 'text/html; charset=utf-8',
+  cacheControl: 'no-store',
+  onError: renderErrorPage,
+});
@@ -1,98 +1,88 @@
-const KLAVIYO_API_BASE = 'https://a.klaviyo.com/api';
-const KLAVIYO_API_VERSION = '2025-01-15';
+import { findProfile } from '../lib/identity.js';
+import { findManagedList, getDefaultList } from '../lib/lists.js';
+import { parseChannels, requestSource } from '../lib/subscriptions.js';
+import { subscribeCustomer } from '../lib/customer-actions.js';
+import { checkSubscribeSender, checkSubscribeEmail } from '../lib/abuse.js';
+import { jobReference } from '../lib/jobs.js';
+import { normalizePhoneNumber } from '../lib/phone.js';
+import { optionalString } from '../lib/validation.js';
+import { getLocale, translate } from '../lib/i18n.js';
+import { resolveCustomerIdentity, resolveProxiedEmail } from '../lib/shopify-proxy.js';
+import { ApiError } from '../lib/errors.js';
+import { withApi } from '../lib/middleware.js';
 
-function corsHeaders(res) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  res.setHeader('Content-Type', 'application/json');
-}
+async function handler(req, res) {
+  const { body } = req;
+  const { listId } = body;
+  const clientSource = optionalString(body.source, 'source');
+  const locale = getLocale(req);
+  const identity = resolveCustomerIdentity(req, body);
+  const source = requestSource(identity);
 
-async function klaviyoRequest(endpoint, options = {}) {
-  const response = await fetch(`${KLAVIYO_API_BASE}${endpoint}`, {
-    ...options,
-    headers: {
-      Authorization: `Klaviyo-API-Key ${process.env.KLAVIYO_PRIVATE_API_KEY}`,
-      'Content-Type': 'application/vnd.api+json',
-      Accept: 'application/vnd.api+json',
-      revision: KLAVIYO_API_VERSION,
-    },
-  });
-  if (response.status === 202 || response.status === 204) return null;
-  const data = await response.json();
-  if (!response.ok) {
-    throw new Error(data.errors?.[0]?.detail || `Klaviyo error ${response.status}`);
+  await checkSubscribeSender(req, body);
+
+  // Proxied customers subscribe the email on their own profile; one without
+  // a profile gets it from resolveProxiedEmail()
+  let profile = null;
+  let email = identity.email;
+  if (identity.proxied) {
+    profile = await findProfile({ shopifyId: identity.shopifyId });
+    email = profile?.attributes?.email || await resolveProxiedEmail(identity);
   }
-  return data;
-}
 
-async function subscribeProfile({ email, source }) {
-  const newsletterListId = process.env.KLAVIYO_NEWSLETTER_LIST_ID;
-  const payload = {
-    data: {
-      type: 'profile-subscription-bulk-create-job',
-      attributes: {
-        custom_source: source || 'Shopify Account Page',
-        profiles: {
-          data: [
-            {
-              type: 'profile',
-              attributes: {
-                email,
-                subscriptions: {
-                  email: {
-                    marketing: {
-                      consent: 'SUBSCRIBED',
-                    },
-                  },
-                },
-              },
-            },
-          ],
-        },
-      },
-      ...(newsletterListId && {
-        relationships: {
-          list: { data: { type: 'list', id: newsletterListId } },
-        },
-      }),
-    },
-  };
-  return await klaviyoRequest('/profile-subscription-bulk-create-jobs/', {
-    method: 'POST',
-    body: JSON.stringify(payload),
-  });
-}
+  if (!email) throw new ApiError('EMAIL_REQUIRED', 'Email is required');
 
-export default async function handler(req, res) {
-  corsHeaders(res);
-  if (req.method === 'OPTIONS') return res.status(200).end();
-  if (req.method !== 'POST') {
-    return res.status(405).json({ success: false, error: 'Method not allowed' });
-  }
+  await checkSubscribeEmail(req, body, email);
 
-  try {
-    const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
-    const { email, source } = body;
+  const { channels, error: channelError } = parseChannels(body.channels);
+  if (channelError) throw new ApiError('INVALID_CHANNELS', channelError);
 
-    if (!email) {
-      return res.status(400).json({ success: false, error: 'Email is required' });
+  let phoneNumber = null;
+  if (channels.includes('sms')) {
+    if (!body.phoneNumber) {
+      throw new ApiError('PHONE_REQUIRED', 'phoneNumber is required for SMS');
     }
-
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ success: false, error: 'Invalid email format' });
+    phoneNumber = normalizePhoneNumber(body.phoneNumber);
+    if (!phoneNumber) {
+      throw new ApiError('INVALID_PHONE_NUMBER', 'Invalid phone number. Use international format, e.g. +15551234567');
     }
+  }
 
-    await subscribeProfile({ email, source });
+  const list = listId ? findManagedList(listId) : getDefaultList();
+  if (listId && !list) throw new ApiError('UNKNOWN_LIST', 'Unknown list');
 
-    return res.status(200).json({
-      success: true,
-      message: 'Successfully subscribed to newsletter',
-      data: { email, subscribed: true },
-    });
-  } catch (error) {
-    console.error('Subscribe error:', error);
-    return res.status(500).json({ success: false, error: error.message });
-  }
+  const { job, pending } = await subscribeCustomer(req, {
+    email,
+    shopifyId: identity.shopifyId,
+    profile,
+    channels,
+    phoneNumber,
+    list,
+    source,
+    clientSource,
+    locale,
+  });
+
+  let message = list && !list.isDefault
+    ? translate(locale, 'messages.subscribedToList', { list: list.name })
+    : translate(locale, 'messages.subscribed');
+  if (pending) message = translate(locale, 'messages.confirmSubscription');
+
+  res.setHeader('Content-Language', locale);
+
+  return res.status(200).json({
+    success: true,
+    message,
+    data: {
+      email,
+      phoneNumber,
+      channels,
+      listId: list?.id || null,
+      subscribed: !pending,
+      pendingConfirmation: pending,
+      job: jobReference(job),
+    },
+  });
 }
+
+export default withApi(handler, { methods: ['POST'], cors: true, body: 'json', label: 'Subscribe error' });
@@ -1,78 +1,119 @@
-const KLAVIYO_API_BASE = 'https://a.klaviyo.com/api';
-const KLAVIYO_API_VERSION = '2025-01-15';
+import { findProfile } from '../lib/identity.js';
+import { findManagedList } from '../lib/lists.js';
+import { parseChannels, requestSource } from '../lib/subscriptions.js';
+import { unsubscribeCustomer, removeCustomerFromList, pauseCustomer } from '../lib/customer-actions.js';
+import { parsePauseDays, PAUSE_DAYS } from '../lib/pause.js';
+import { getUnsubscribeReasons, parseUnsubscribeReason } from '../lib/unsubscribe-reasons.js';
+import { getLocale } from '../lib/i18n.js';
+import { normalizePhoneNumber } from '../lib/phone.js';
+import { jobReference } from '../lib/jobs.js';
+import { optionalString } from '../lib/validation.js';
+import { resolveCustomerIdentity } from '../lib/shopify-proxy.js';
+import { ApiError } from '../lib/errors.js';
+import { withApi } from '../lib/middleware.js';
 
-function corsHeaders(res) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  res.setHeader('Content-Type', 'application/json');
+// What the unsubscribe form can offer: pause lengths and reasons
+function sendOptions(req, res) {
+  return res.status(200).json({
+    success: true,
+    data: { pauseDays: PAUSE_DAYS, reasons: getUnsubscribeReasons(getLocale(req)) },
+  });
 }
 
-async function klaviyoRequest(endpoint, options = {}) {
-  const response = await fetch(`${KLAVIYO_API_BASE}${endpoint}`, {
-    ...options,
-    headers: {
-      Authorization: `Klaviyo-API-Key ${process.env.KLAVIYO_PRIVATE_API_KEY}`,
-      'Content-Type': 'application/vnd.api+json',
-      Accept: 'application/vnd.api+json',
-      revision: KLAVIYO_API_VERSION,
-    },
-  });
-  if (response.status === 202 || response.status === 204) return null;
-  const data = await response.json();
-  if (!response.ok) {
-    throw new Error(data.errors?.[0]?.detail || `Klaviyo error ${response.status}`);
+async function handler(req, res) {
+  if (req.method === 'GET') return sendOptions(req, res);
+
+  const { body } = req;
+  const { listId } = body;
+  const clientSource = optionalString(body.source, 'source');
+  const identity = resolveCustomerIdentity(req, body);
+  const source = requestSource(identity);
+
+  let profile = null;
+  let email = identity.email;
+  if (identity.proxied) {
+    profile = await findProfile({ shopifyId: identity.shopifyId });
+    if (!profile) throw new ApiError('PROFILE_NOT_FOUND', 'Profile not found', 404);
+    email = profile.attributes.email;
   }
-  return data;
-}
 
-export default async function handler(req, res) {
-  corsHeaders(res);
-  if (req.method === 'OPTIONS') return res.status(200).end();
-  if (req.method !== 'POST') {
-    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  if (!email) throw new ApiError('EMAIL_REQUIRED', 'Email is required');
+
+  // With pauseDays, hold emails back for a while and keep consent
+  if (body.pauseDays !== undefined) {
+    if (listId) throw new ApiError('INVALID_FIELD', 'pauseDays cannot be combined with listId');
+    const days = parsePauseDays(body.pauseDays);
+    const { pausedUntil } = await pauseCustomer(req, {
+      email,
+      shopifyId: identity.shopifyId,
+      profile,
+      days,
+      source,
+      clientSource,
+    });
+    return res.status(200).json({ success: true, paused: true, scope: 'pause', pausedUntil });
   }
 
-  try {
-    const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
-    const { email } = body;
+  // With a listId, only leave that list and keep email consent
+  if (listId) {
+    const list = findManagedList(listId);
+    if (!list) throw new ApiError('UNKNOWN_LIST', 'Unknown list');
 
-    if (!email) {
-      return res.status(400).json({ success: false, error: 'Email is required' });
-    }
+    const { job } = await removeCustomerFromList(req, {
+      email,
+      shopifyId: identity.shopifyId,
+      profile,
+      list,
+      source,
+      clientSource,
+    });
 
-    await klaviyoRequest('/profile-subscription-bulk-delete-jobs/', {
-      method: 'POST',
-      body: JSON.stringify({
-        data: {
-          type: 'profile-subscription-bulk-delete-job',
-          attributes: {
-            profiles: {
-              data: [
-                {
-                  type: 'profile',
-                  attributes: {
-                    email,
-                    subscriptions: {
-                      email: {
-                        marketing: {
-                          consent: 'UNSUBSCRIBED',
-                        },
-                      },
-                    },
-                  },
-                },
-              ],
-            },
-          },
-          // No list relationship — globally unsubscribes the profile
-        },
-      }),
+    return res.status(200).json({
+      success: true,
+      unsubscribed: true,
+      scope: 'list',
+      listId: list.id,
+      job: jobReference(job),
     });
+  }
+
+  const { channels, error: channelError } = parseChannels(body.channels);
+  if (channelError) throw new ApiError('INVALID_CHANNELS', channelError);
+  const reason = parseUnsubscribeReason(body);
 
-    return res.status(200).json({ success: true, unsubscribed: true });
-  } catch (err) {
-    console.error('Unsubscribe error:', err);
-    return res.status(500).json({ success: false, error: err.message });
+  // SMS opt-out targets the number on the profile; outside proxy mode a
+  // number in the request is accepted too.
+  let phoneNumber = null;
+  if (channels.includes('sms')) {
+    if (!identity.proxied && body.phoneNumber) {
+      phoneNumber = normalizePhoneNumber(body.phoneNumber);
+    } else {
+      if (!profile) profile = await findProfile({ email });
+      phoneNumber = profile?.attributes?.phone_number || null;
+    }
+    if (!phoneNumber) {
+      throw new ApiError('PHONE_REQUIRED', 'No valid phone number to unsubscribe from SMS');
+    }
   }
+
+  const { job } = await unsubscribeCustomer(req, {
+    email,
+    shopifyId: identity.shopifyId,
+    profile,
+    channels,
+    phoneNumber,
+    source,
+    clientSource,
+    reason,
+  });
+
+  return res.status(200).json({
+    success: true,
+    unsubscribed: true,
+    scope: 'global',
+    channels,
+    job: jobReference(job),
+  });
 }
+
+export default withApi(handler, { methods: ['GET', 'POST'], cors: true, body: 'json', label: 'Unsubscribe error' });
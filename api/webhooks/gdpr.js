@@ -0,0 +1,96 @@
+/**
+ * Shopify Mandatory Compliance Webhooks
+ * POST /api/webhooks/gdpr
+ *
+ * customers/data_request — exports everything held in Klaviyo for the customer
+ *                          and keeps it in the store for the merchant
+ *                          (read it back with GET /api/admin/data-request)
+ * customers/redact       — starts Klaviyo data-privacy deletion jobs and
+ *                          deletes the customer's stored exports
+ * shop/redact            — deletes the shop's stored privacy records
+ */
+
+import {
+  buildCustomerDataExport,
+  redactCustomer,
+  savePrivacyRecord,
+  deleteCustomerDataExports,
+  deleteShopPrivacyRecords,
+  requirePrivacyStore,
+} from '../../lib/privacy.js';
+import {
+  readShopifyWebhook,
+  claimWebhook,
+  releaseWebhook,
+} from '../../lib/shopify-webhooks.js';
+import { ApiError } from '../../lib/errors.js';
+import { withApi } from '../../lib/middleware.js';
+
+// The HMAC must be checked against the raw request body
+export const config = { api: { bodyParser: false } };
+
+// Shopify ignores the response body, so the export itself only goes to the
+// store and the response is a summary
+async function handleDataRequest(payload, shop) {
+  const requestId = payload.data_request?.id;
+  const exported = await buildCustomerDataExport(payload.customer || {});
+  await savePrivacyRecord(shop, 'data-request', requestId, { type: 'data_request', shop, export: exported });
+  return { requestId, profiles: exported.profiles.length, auditRecords: exported.consentAudit.length };
+}
+
+async function handleCustomerRedact(payload, shop) {
+  const customer = payload.customer || {};
+  const result = await redactCustomer(customer);
+  result.dataExportsDeleted = await deleteCustomerDataExports(shop, customer);
+  await savePrivacyRecord(shop, 'redact', customer.id, { type: 'customers_redact', shop, ...result });
+  // A 5xx releases the webhook ID, so Shopify redelivers and the deletion
+  // is requested again
+  if (result.status === 'failed') {
+    console.error('Klaviyo deletion job failed:', JSON.stringify(result.jobs));
+    throw new ApiError('REDACTION_FAILED', 'Klaviyo deletion could not be requested', 502);
+  }
+  return result;
+}
+
+async function handleShopRedact(payload, shop) {
+  const deleted = await deleteShopPrivacyRecords(shop);
+  return { status: 'redacted', privacyRecordsDeleted: deleted };
+}
+
+const TOPIC_HANDLERS = {
+  'customers/data_request': handleDataRequest,
+  'customers/redact': handleCustomerRedact,
+  'shop/redact': handleShopRedact,
+};
+
+async function handler(req, res) {
+  const webhook = await readShopifyWebhook(req);
+  // Answered with a 503 before the webhook is claimed, so Shopify retries
+  requirePrivacyStore();
+
+  const handle = TOPIC_HANDLERS[webhook.topic];
+  if (!handle) {
+    return res.status(200).json({ success: true, ignored: true, topic: webhook.topic });
+  }
+
+  if (!(await claimWebhook(webhook.webhookId))) {
+    return res.status(200).json({ success: true, duplicate: true, webhookId: webhook.webhookId });
+  }
+
+  try {
+    const result = await handle(webhook.payload, webhook.shop);
+    return res.status(200).json({ success: true, topic: webhook.topic, ...result });
+  } catch (error) {
+    await releaseWebhook(webhook.webhookId);
+    throw error;
+  }
+}
+
+// The raw body is read by readShopifyWebhook, so only its declared length
+// is checked here
+export default withApi(handler, {
+  methods: ['POST'],
+  maxBodyBytes: 1024 * 1024,
+  tenant: 'webhook',
+  label: 'Compliance webhook error',
+});
@@ -0,0 +1,148 @@
+/**
+ * Shopify Customer Webhooks
+ * POST /api/webhooks/shopify
+ *
+ * Keeps Klaviyo profiles in sync with Shopify customers:
+ * customers/create, customers/update, customers/delete
+ */
+
+import { upsertProfile, updateProfile } from '../../lib/profiles.js';
+import { findProfile, resolveProfile, IdentityConflictError } from '../../lib/identity.js';
+import { subscribeProfile, unsubscribeProfile, consentChange } from '../../lib/subscriptions.js';
+import { recordAudit } from '../../lib/audit.js';
+import {
+  readShopifyWebhook,
+  claimWebhook,
+  releaseWebhook,
+} from '../../lib/shopify-webhooks.js';
+import { withApi } from '../../lib/middleware.js';
+
+const WEBHOOK_SOURCE = 'Shopify Customer Webhook';
+
+// The HMAC must be checked against the raw request body
+export const config = { api: { bodyParser: false } };
+
+// Klaviyo's consent can change without Shopify hearing about it (a footer
+// unsubscribe, a bounce), and customers/update fires for any edit to the
+// customer. So Shopify's consent is only copied over when it changed after
+// Klaviyo's did, and a suppressed profile is never resubscribed: only Klaviyo
+// can lift a suppression.
+function shopifyConsentIsNewer(customer, existing) {
+  const marketing = existing?.attributes?.subscriptions?.email?.marketing;
+  const klaviyoTime = Date.parse(marketing?.last_updated ?? marketing?.consent_timestamp ?? '');
+  if (Number.isNaN(klaviyoTime)) return true;
+
+  const shopifyTime = Date.parse(customer.email_marketing_consent?.consent_updated_at || '');
+  return !Number.isNaN(shopifyTime) && shopifyTime > klaviyoTime;
+}
+
+async function syncEmailConsent(req, customer, email, existing) {
+  const state = customer.email_marketing_consent?.state;
+  const klaviyoConsent = existing?.attributes?.subscriptions?.email?.marketing?.consent;
+
+  if (!email || !shopifyConsentIsNewer(customer, existing)) return 'unchanged';
+
+  const audit = { email, shopifyId: String(customer.id), channels: ['email'], source: WEBHOOK_SOURCE };
+
+  if (state === 'subscribed' && klaviyoConsent !== 'SUBSCRIBED' && klaviyoConsent !== 'SUPPRESSED') {
+    await subscribeProfile({ email, source: WEBHOOK_SOURCE });
+    await recordAudit(req, { ...audit, action: 'subscribe', ...consentChange(existing, ['email'], 'SUBSCRIBED') });
+    return 'subscribed';
+  }
+  if (state === 'unsubscribed' && klaviyoConsent === 'SUBSCRIBED') {
+    await unsubscribeProfile({ email });
+    await recordAudit(req, { ...audit, action: 'unsubscribe', ...consentChange(existing, ['email'], 'UNSUBSCRIBED') });
+    return 'unsubscribed';
+  }
+  return 'unchanged';
+}
+
+// An email change in Shopify goes through resolveProfile() like any other.
+// If it's refused the conflict is in the audit trail, and the rest of the
+// customer is still synced under the email Klaviyo has; retrying the webhook
+// wouldn't change the outcome.
+async function handleCustomerUpsert(customer, req) {
+  const shopifyId = String(customer.id);
+
+  let existing;
+  let email = customer.email || undefined;
+  let identityConflict = false;
+  try {
+    ({ profile: existing, email } = await resolveProfile(req, { email, shopifyId }, {
+      source: WEBHOOK_SOURCE,
+      trusted: true,
+    }));
+  } catch (error) {
+    if (!(error instanceof IdentityConflictError)) throw error;
+    existing = error.profile;
+    email = existing.attributes?.email;
+    identityConflict = true;
+  }
+
+  if (!email && !existing) {
+    return { action: 'skipped', reason: 'Customer has no email' };
+  }
+
+  await upsertProfile({
+    profileId: existing?.id,
+    email,
+    firstName: customer.first_name,
+    lastName: customer.last_name,
+    shopifyId,
+  });
+
+  const consent = await syncEmailConsent(req, customer, email, existing);
+
+  return { action: existing ? 'updated' : 'created', consent, ...(identityConflict && { identityConflict }) };
+}
+
+// Shopify only sends the ID on delete. Klaviyo profiles are kept (they may
+// still hold consent) but flagged so segments can exclude them.
+async function handleCustomerDelete(customer) {
+  const existing = await findProfile({ shopifyId: String(customer.id) });
+  if (!existing) return { action: 'skipped', reason: 'Profile not found' };
+
+  await updateProfile(existing.id, {
+    properties: {
+      shopify_customer_deleted: true,
+      shopify_customer_deleted_at: new Date().toISOString(),
+    },
+  });
+  return { action: 'flagged_deleted' };
+}
+
+const TOPIC_HANDLERS = {
+  'customers/create': handleCustomerUpsert,
+  'customers/update': handleCustomerUpsert,
+  'customers/delete': handleCustomerDelete,
+};
+
+async function handler(req, res) {
+  const webhook = await readShopifyWebhook(req);
+
+  const handle = TOPIC_HANDLERS[webhook.topic];
+  if (!handle) {
+    return res.status(200).json({ success: true, ignored: true, topic: webhook.topic });
+  }
+
+  if (!(await claimWebhook(webhook.webhookId))) {
+    return res.status(200).json({ success: true, duplicate: true, webhookId: webhook.webhookId });
+  }
+
+  try {
+    const result = await handle(webhook.payload, req);
+    return res.status(200).json({ success: true, topic: webhook.topic, ...result });
+  } catch (error) {
+    await releaseWebhook(webhook.webhookId);
+    throw error;
+  }
+}
+
+// The raw body is read by readShopifyWebhook, so only its declared length
+// is checked here
+export default withApi(handler, {
+  methods: ['POST'],
+  maxBodyBytes: 1024 * 1024,
+  tenant: 'webhook',
+  label: 'Shopify webhook error',
+});
@@ -0,0 +1,21 @@
+// How scripts/backfill.js reads preferences from a Shopify customer export.
+//
+// `tags` maps customer tags (case-insensitive) to a `marketing_preference`
+// value from PREFERENCE_MAP; a customer tagged with both `menswear` and
+// `womenswear` gets both categories.
+//
+// `metafields` maps `namespace.key` to what the metafield holds: either
+// `marketing_preference` (a PREFERENCE_MAP value) or the key of a preference
+// schema dimension, whose option values the metafield holds (a JSON list or
+// comma-separated for `multi` dimensions).
+export default {
+  tags: {
+    menswear: 'menswear',
+    womenswear: 'womenswear',
+  },
+  metafields: {
+    'custom.marketing_preference': 'marketing_preference',
+    'custom.email_frequency': 'frequency',
+    'custom.email_topics': 'topics',
+  },
+};
@@ -0,0 +1,13 @@
+// Browser origins allowed to call the customer-facing endpoints, per Vercel
+// environment (VERCEL_ENV; treated as `production` when unset). Origins in
+// CORS_ALLOWED_ORIGINS, such as the shop's own domains, are allowed in every
+// environment on top of these.
+//
+// `*` matches one subdomain label (`https://*.myshopify.com`) or, after a
+// colon, any port (`http://localhost:*`).
+export default {
+  production: [],
+  // Theme previews shared from the Shopify admin
+  preview: ['https://*.shopifypreview.com'],
+  development: ['http://localhost', 'http://localhost:*', 'http://127.0.0.1:*', 'https://*.shopifypreview.com'],
+};
@@ -0,0 +1,10 @@
+// Profile properties customers may set through PATCH/POST /api/profile.
+// Everything else (shopify_customer_id, consent and preference fields) is
+// written only by the API itself. Extend through CUSTOMER_WRITABLE_PROPERTIES
+// (comma-separated).
+export default [
+  'birthday',
+  'pronouns',
+  'clothing_size',
+  'shoe_size',
+];
@@ -0,0 +1,17 @@
+// Throwaway email domains rejected by /api/subscribe. Extend without editing
+// this file through DISPOSABLE_EMAIL_DOMAINS (comma-separated).
+export default [
+  '10minutemail.com',
+  'dispostable.com',
+  'getnada.com',
+  'guerrillamail.com',
+  'maildrop.cc',
+  'mailinator.com',
+  'mintemail.com',
+  'sharklasers.com',
+  'temp-mail.org',
+  'tempmail.com',
+  'throwawaymail.com',
+  'trashmail.com',
+  'yopmail.com',
+];
@@ -0,0 +1,98 @@
+// German. See en.js for how each section is used.
+export default {
+  messages: {
+    subscribed: 'Du hast den Newsletter erfolgreich abonniert',
+    subscribedToList: 'Du hast {list} erfolgreich abonniert',
+    confirmSubscription: 'Bitte prüfe dein Postfach, um dein Abonnement zu bestätigen',
+    preferencesUpdated: 'Einstellungen aktualisiert',
+  },
+  validation: {
+    preferencesNotObject: 'Einstellungen müssen ein Objekt sein',
+    unknownPreference: 'Unbekannte Einstellung: {key}',
+    notAList: '{key} muss eine Liste sein',
+    invalidValues: 'Ungültige Werte für {key}: {values}. Erlaubt sind: {allowed}',
+    invalidValue: 'Ungültiger Wert für {key}. Erlaubt sind: {allowed}',
+    invalidMarketingPreference: 'Ungültige marketing_preference. Erlaubt sind: {allowed}',
+  },
+  errors: {
+    EMAIL_REQUIRED: 'E-Mail-Adresse ist erforderlich',
+    INVALID_EMAIL: 'Ungültiges E-Mail-Format',
+    INVALID_PHONE_NUMBER: 'Ungültige Telefonnummer. Bitte im internationalen Format eingeben, z. B. +4915112345678',
+    PHONE_REQUIRED: 'Für SMS ist eine gültige Telefonnummer erforderlich',
+    PROFILE_NOT_FOUND: 'Profil nicht gefunden',
+    PROFILE_EXISTS: 'Ein Profil mit diesen Angaben existiert bereits',
+    IDENTITY_CONFLICT: 'Diese E-Mail-Adresse passt nicht zu deinem Konto. Bitte wende dich an unseren Kundenservice.',
+    UNKNOWN_LIST: 'Unbekannte Liste',
+    DISPOSABLE_EMAIL: 'Bitte verwende eine dauerhafte E-Mail-Adresse',
+    HONEYPOT_TRIGGERED: 'Das Abonnement konnte nicht verarbeitet werden',
+    CAPTCHA_REQUIRED: 'Bitte löse das CAPTCHA',
+    CAPTCHA_INVALID: 'Die CAPTCHA-Prüfung ist fehlgeschlagen. Bitte versuche es erneut.',
+    CAPTCHA_UNAVAILABLE: 'Die CAPTCHA-Prüfung ist gerade nicht verfügbar. Bitte versuche es gleich noch einmal.',
+    RATE_LIMITED: 'Zu viele Anfragen. Bitte versuche es später erneut.',
+    CUSTOMER_NOT_LOGGED_IN: 'Bitte melde dich in deinem Konto an',
+    LINK_TOKEN_REQUIRED: 'Bitte öffne diese Seite über den Link in einer unserer E-Mails',
+    LINK_TOKEN_INVALID: 'Dieser Link ist ungültig',
+    LINK_TOKEN_EXPIRED: 'Dieser Link ist abgelaufen',
+    LINK_TOKEN_REVOKED: 'Dieser Link ist nicht mehr gültig',
+    LINK_TOKEN_ACTION_NOT_ALLOWED: 'Dieser Link kann dafür nicht verwendet werden',
+    UPSTREAM_UNAVAILABLE: 'Der Dienst ist vorübergehend nicht verfügbar. Bitte versuche es erneut.',
+    UPSTREAM_AUTH_FAILED: 'Der Dienst ist vorübergehend nicht verfügbar. Bitte versuche es erneut.',
+    INVALID_REQUEST: 'Die Anfrage konnte nicht verarbeitet werden. Bitte prüfe deine Angaben.',
+    PAYLOAD_TOO_LARGE: 'Die Anfrage ist zu groß',
+    PRECONDITION_FAILED: 'Deine Daten wurden zwischenzeitlich geändert. Bitte lade die Seite neu und versuche es erneut.',
+    INTERNAL_ERROR: 'Etwas ist schiefgelaufen. Bitte versuche es erneut.',
+  },
+  preferences: {
+    categories: {
+      label: 'Interessen',
+      options: { menswear: 'Herren', womenswear: 'Damen' },
+    },
+    frequency: {
+      label: 'E-Mail-Häufigkeit',
+      options: { weekly: 'Wöchentlich', monthly: 'Monatlich' },
+    },
+    topics: {
+      label: 'Themen',
+      options: { sale_alerts: 'Sale-Benachrichtigungen', new_arrivals: 'Neuheiten' },
+    },
+  },
+  unsubscribeReasons: {
+    too_many_emails: 'Ich bekomme zu viele E-Mails',
+    not_relevant: 'Die E-Mails sind für mich nicht relevant',
+    no_longer_interested: 'Ich habe kein Interesse mehr',
+    never_signed_up: 'Ich habe mich nie angemeldet',
+    other: 'Sonstiges',
+  },
+  preferenceCenter: {
+    title: 'E-Mail-Einstellungen',
+    intro: 'Verwalte die E-Mails, die wir an {email} senden.',
+    subscriptionHeading: 'Newsletter',
+    statusSubscribed: 'Du hast unseren Newsletter abonniert.',
+    statusPending: 'Bitte prüfe dein Postfach und bestätige dein Abonnement.',
+    statusUnsubscribed: 'Du hast unseren Newsletter abbestellt.',
+    statusNeverSubscribed: 'Du hast unseren Newsletter nicht abonniert.',
+    statusSuppressed: 'Wir können an diese Adresse keine E-Mails senden. Bitte kontaktiere uns, um dich wieder anzumelden.',
+    emailLabel: 'E-Mail-Adresse',
+    subscribeButton: 'Abonnieren',
+    unsubscribeButton: 'Abbestellen',
+    pauseHeading: 'Brauchst du eine Pause? Pausiere unsere E-Mails für:',
+    pauseButton: '{days} Tage',
+    unsubscribeHeading: 'Oder abbestellen',
+    reasonLabel: 'Warum bestellst du ab? (optional)',
+    reasonPlaceholder: 'Grund auswählen',
+    reasonTextLabel: 'Möchtest du uns noch etwas sagen? (optional)',
+    statusPaused: 'Deine E-Mails sind bis zum {date} pausiert.',
+    resumeButton: 'E-Mails jetzt fortsetzen',
+    preferencesHeading: 'Deine Einstellungen',
+    noPreference: 'Keine Präferenz',
+    saveButton: 'Einstellungen speichern',
+    subscribed: 'Du hast den Newsletter jetzt abonniert.',
+    pendingConfirmation: 'Bitte prüfe dein Postfach, um dein Abonnement zu bestätigen.',
+    unsubscribed: 'Du hast den Newsletter abbestellt.',
+    paused: 'Deine E-Mails sind pausiert.',
+    resumed: 'Deine E-Mails werden wieder gesendet.',
+    preferencesSaved: 'Deine Einstellungen wurden gespeichert.',
+    errorReference: 'Referenz: {requestId}',
+    homeLink: 'Zurück zum Shop',
+  },
+};
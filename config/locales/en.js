@@ -0,0 +1,61 @@
+// English, and the fallback for any key another locale leaves out.
+//
+// `errors` translates error messages by code. English error text lives where
+// each error is thrown, so this file has none; a locale without a code keeps
+// that English message.
+//
+// `preferences` overrides the labels in config/preference-schema.js, which
+// are already English. Stored preference values never change with the
+// locale, so Klaviyo segments keep working in every market.
+// `unsubscribeReasons` does the same for config/unsubscribe-reasons.js.
+export default {
+  messages: {
+    subscribed: 'Successfully subscribed to newsletter',
+    subscribedToList: 'Successfully subscribed to {list}',
+    confirmSubscription: 'Please check your inbox to confirm your subscription',
+    preferencesUpdated: 'Preferences updated',
+  },
+  validation: {
+    preferencesNotObject: 'preferences must be an object',
+    unknownPreference: 'Unknown preference: {key}',
+    notAList: '{key} must be an array',
+    invalidValues: 'Invalid {key}: {values}. Must be one of: {allowed}',
+    invalidValue: 'Invalid {key}. Must be one of: {allowed}',
+    invalidMarketingPreference: 'Invalid marketing_preference. Must be one of: {allowed}',
+  },
+  errors: {},
+  preferences: {},
+  unsubscribeReasons: {},
+  preferenceCenter: {
+    title: 'Email preferences',
+    intro: 'Manage the emails we send to {email}.',
+    subscriptionHeading: 'Newsletter',
+    statusSubscribed: 'You are subscribed to our newsletter.',
+    statusPending: 'Please check your inbox and confirm your subscription.',
+    statusUnsubscribed: 'You are unsubscribed from our newsletter.',
+    statusNeverSubscribed: 'You are not subscribed to our newsletter.',
+    statusSuppressed: 'We can\'t send emails to this address. Please contact us to resubscribe.',
+    emailLabel: 'Email address',
+    subscribeButton: 'Subscribe',
+    unsubscribeButton: 'Unsubscribe',
+    pauseHeading: 'Need a break? Pause our emails for:',
+    pauseButton: '{days} days',
+    unsubscribeHeading: 'Or unsubscribe',
+    reasonLabel: 'Why are you unsubscribing? (optional)',
+    reasonPlaceholder: 'Choose a reason',
+    reasonTextLabel: 'Anything else you\'d like to tell us? (optional)',
+    statusPaused: 'Your emails are paused until {date}.',
+    resumeButton: 'Resume emails now',
+    preferencesHeading: 'Your preferences',
+    noPreference: 'No preference',
+    saveButton: 'Save preferences',
+    subscribed: 'You are now subscribed.',
+    pendingConfirmation: 'Please check your inbox to confirm your subscription.',
+    unsubscribed: 'You have been unsubscribed.',
+    paused: 'Your emails are paused.',
+    resumed: 'Your emails have been resumed.',
+    preferencesSaved: 'Your preferences have been saved.',
+    errorReference: 'Reference: {requestId}',
+    homeLink: 'Back to store',
+  },
+};
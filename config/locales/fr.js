@@ -0,0 +1,98 @@
+// French. See en.js for how each section is used.
+export default {
+  messages: {
+    subscribed: 'Vous êtes inscrit(e) à la newsletter',
+    subscribedToList: 'Vous êtes inscrit(e) à {list}',
+    confirmSubscription: 'Veuillez consulter votre boîte de réception pour confirmer votre inscription',
+    preferencesUpdated: 'Préférences mises à jour',
+  },
+  validation: {
+    preferencesNotObject: 'Les préférences doivent être un objet',
+    unknownPreference: 'Préférence inconnue : {key}',
+    notAList: '{key} doit être une liste',
+    invalidValues: '{key} non valide : {values}. Valeurs possibles : {allowed}',
+    invalidValue: '{key} non valide. Valeurs possibles : {allowed}',
+    invalidMarketingPreference: 'marketing_preference non valide. Valeurs possibles : {allowed}',
+  },
+  errors: {
+    EMAIL_REQUIRED: 'L\'adresse e-mail est obligatoire',
+    INVALID_EMAIL: 'Format d\'adresse e-mail non valide',
+    INVALID_PHONE_NUMBER: 'Numéro de téléphone non valide. Utilisez le format international, par ex. +33612345678',
+    PHONE_REQUIRED: 'Un numéro de téléphone valide est requis pour les SMS',
+    PROFILE_NOT_FOUND: 'Profil introuvable',
+    PROFILE_EXISTS: 'Un profil avec ces informations existe déjà',
+    IDENTITY_CONFLICT: 'Cette adresse e-mail ne correspond pas à votre compte. Veuillez contacter notre service client.',
+    UNKNOWN_LIST: 'Liste inconnue',
+    DISPOSABLE_EMAIL: 'Veuillez utiliser une adresse e-mail permanente',
+    HONEYPOT_TRIGGERED: 'L\'inscription n\'a pas pu être traitée',
+    CAPTCHA_REQUIRED: 'Veuillez compléter le CAPTCHA',
+    CAPTCHA_INVALID: 'La vérification CAPTCHA a échoué. Veuillez réessayer.',
+    CAPTCHA_UNAVAILABLE: 'La vérification CAPTCHA est momentanément indisponible. Veuillez réessayer dans un instant.',
+    RATE_LIMITED: 'Trop de demandes. Veuillez réessayer plus tard.',
+    CUSTOMER_NOT_LOGGED_IN: 'Veuillez vous connecter à votre compte',
+    LINK_TOKEN_REQUIRED: 'Veuillez ouvrir cette page à partir du lien figurant dans l\'un de nos e-mails',
+    LINK_TOKEN_INVALID: 'Ce lien n\'est pas valide',
+    LINK_TOKEN_EXPIRED: 'Ce lien a expiré',
+    LINK_TOKEN_REVOKED: 'Ce lien n\'est plus valide',
+    LINK_TOKEN_ACTION_NOT_ALLOWED: 'Ce lien ne permet pas cette action',
+    UPSTREAM_UNAVAILABLE: 'Le service est temporairement indisponible. Veuillez réessayer.',
+    UPSTREAM_AUTH_FAILED: 'Le service est temporairement indisponible. Veuillez réessayer.',
+    INVALID_REQUEST: 'La demande n\'a pas pu être traitée. Veuillez vérifier vos informations.',
+    PAYLOAD_TOO_LARGE: 'La demande est trop volumineuse',
+    PRECONDITION_FAILED: 'Vos informations ont été modifiées entre-temps. Veuillez actualiser la page et réessayer.',
+    INTERNAL_ERROR: 'Une erreur est survenue. Veuillez réessayer.',
+  },
+  preferences: {
+    categories: {
+      label: 'Centres d\'intérêt',
+      options: { menswear: 'Homme', womenswear: 'Femme' },
+    },
+    frequency: {
+      label: 'Fréquence des e-mails',
+      options: { weekly: 'Hebdomadaire', monthly: 'Mensuelle' },
+    },
+    topics: {
+      label: 'Sujets',
+      options: { sale_alerts: 'Alertes soldes', new_arrivals: 'Nouveautés' },
+    },
+  },
+  unsubscribeReasons: {
+    too_many_emails: 'Je reçois trop d\'e-mails',
+    not_relevant: 'Les e-mails ne me concernent pas',
+    no_longer_interested: 'Cela ne m\'intéresse plus',
+    never_signed_up: 'Je ne me suis jamais inscrit(e)',
+    other: 'Autre',
+  },
+  preferenceCenter: {
+    title: 'Préférences e-mail',
+    intro: 'Gérez les e-mails que nous envoyons à {email}.',
+    subscriptionHeading: 'Newsletter',
+    statusSubscribed: 'Vous êtes inscrit(e) à notre newsletter.',
+    statusPending: 'Veuillez consulter votre boîte de réception et confirmer votre inscription.',
+    statusUnsubscribed: 'Vous êtes désinscrit(e) de notre newsletter.',
+    statusNeverSubscribed: 'Vous n\'êtes pas inscrit(e) à notre newsletter.',
+    statusSuppressed: 'Nous ne pouvons pas envoyer d\'e-mails à cette adresse. Contactez-nous pour vous réinscrire.',
+    emailLabel: 'Adresse e-mail',
+    subscribeButton: 'S\'inscrire',
+    unsubscribeButton: 'Se désinscrire',
+    pauseHeading: 'Besoin d\'une pause ? Suspendez nos e-mails pendant :',
+    pauseButton: '{days} jours',
+    unsubscribeHeading: 'Ou désinscrivez-vous',
+    reasonLabel: 'Pourquoi vous désinscrivez-vous ? (facultatif)',
+    reasonPlaceholder: 'Choisissez une raison',
+    reasonTextLabel: 'Autre chose à nous dire ? (facultatif)',
+    statusPaused: 'Vos e-mails sont suspendus jusqu\'au {date}.',
+    resumeButton: 'Reprendre les e-mails maintenant',
+    preferencesHeading: 'Vos préférences',
+    noPreference: 'Pas de préférence',
+    saveButton: 'Enregistrer',
+    subscribed: 'Vous êtes maintenant inscrit(e).',
+    pendingConfirmation: 'Veuillez consulter votre boîte de réception pour confirmer votre inscription.',
+    unsubscribed: 'Vous avez été désinscrit(e).',
+    paused: 'Vos e-mails sont suspendus.',
+    resumed: 'Vos e-mails ont repris.',
+    preferencesSaved: 'Vos préférences ont été enregistrées.',
+    errorReference: 'Référence : {requestId}',
+    homeLink: 'Retour à la boutique',
+  },
+};
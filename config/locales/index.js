@@ -0,0 +1,7 @@
+import en from './en.js';
+import fr from './fr.js';
+import de from './de.js';
+
+// Locales customers can be served in, keyed by BCP 47 tag. To add one, copy
+// en.js, translate it and register it here.
+export default { en, fr, de };
@@ -0,0 +1,31 @@
+// Look and copy of the hosted preference center (/api/preference-center).
+//
+// Override any of these without a code change by setting
+// PREFERENCE_CENTER_THEME to JSON with the keys to replace, e.g.
+// {"brandName":"Acme","colors":{"primary":"#0a5"},"text":{"en":{"title":"Acme emails"}}}
+// Nested objects are merged, so only the changed keys are needed.
+export default {
+  brandName: '',
+  // Shown above the title when set; should be an https URL
+  logoUrl: '',
+  // "Back to store" link in the footer; hidden when empty
+  homeUrl: '',
+  // Extra stylesheet loaded after the built-in styles
+  stylesheetUrl: '',
+  fontFamily: 'system-ui, -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif',
+  borderRadius: '6px',
+  colors: {
+    primary: '#000000',
+    primaryText: '#ffffff',
+    background: '#f6f6f6',
+    surface: '#ffffff',
+    text: '#1a1a1a',
+    muted: '#595959',
+    border: '#cccccc',
+    success: '#1e7b34',
+    error: '#b00020',
+  },
+  // Copy comes from config/locales; override it here per locale, e.g.
+  // { en: { title: 'Acme emails' }, fr: { title: 'E-mails Acme' } }
+  text: {},
+};
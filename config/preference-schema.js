@@ -0,0 +1,40 @@
+// Preference dimensions customers can manage from the account page.
+//
+// Each dimension writes to one Klaviyo profile property. `multi` dimensions
+// are stored as Klaviyo list properties (arrays); `single` dimensions as a
+// plain string. `klaviyo` is the value written to Klaviyo when it differs
+// from the option's `value` (used by existing segments on `preference`).
+export default {
+  dimensions: [
+    {
+      key: 'categories',
+      label: 'Category interests',
+      type: 'multi',
+      property: 'preference',
+      options: [
+        { value: 'menswear', label: 'Menswear', klaviyo: 'Menswear' },
+        { value: 'womenswear', label: 'Womenswear', klaviyo: 'Womenswear' },
+      ],
+    },
+    {
+      key: 'frequency',
+      label: 'Email frequency',
+      type: 'single',
+      property: 'email_frequency',
+      options: [
+        { value: 'weekly', label: 'Weekly' },
+        { value: 'monthly', label: 'Monthly' },
+      ],
+    },
+    {
+      key: 'topics',
+      label: 'Topics',
+      type: 'multi',
+      property: 'email_topics',
+      options: [
+        { value: 'sale_alerts', label: 'Sale alerts' },
+        { value: 'new_arrivals', label: 'New arrivals' },
+      ],
+    },
+  ],
+};
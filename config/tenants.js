@@ -0,0 +1,38 @@
+// Stores served by this deployment, keyed by a short tenant ID. Leave this
+// empty to run a single store configured entirely through env vars
+// (KLAVIYO_PRIVATE_API_KEY, KLAVIYO_NEWSLETTER_LIST_ID, ...).
+//
+// Secrets never go here. Each tenant reads them from env vars suffixed with
+// its upper-cased ID, e.g. for `eu`:
+//   KLAVIYO_PRIVATE_API_KEY_EU    (required)
+//   KLAVIYO_PUBLIC_API_KEY_EU
+//   SHOPIFY_APP_PROXY_SECRET_EU   (falls back to SHOPIFY_APP_PROXY_SECRET)
+//   SHOPIFY_WEBHOOK_SECRET_EU     (falls back to SHOPIFY_WEBHOOK_SECRET)
+//
+// `shops` are the store's myshopify.com domains, `allowedOrigins` the
+// storefront origins browsers call from (same patterns as config/cors.js),
+// `pausedSegmentId` is the Klaviyo segment of paused profiles (see
+// lib/pause.js), `preferenceSchema` replaces config/preference-schema.js for
+// the store and `emailChangePolicy` overrides EMAIL_CHANGE_POLICY (see
+// lib/identity.js).
+//
+// import euPreferenceSchema from './preference-schema-eu.js';
+//
+// export default {
+//   eu: {
+//     name: 'Europe',
+//     shops: ['acme-eu.myshopify.com'],
+//     allowedOrigins: ['https://eu.acme.com'],
+//     newsletterListId: 'AbC123',
+//     managedLists: [{ id: 'XyZ789', name: 'VIP', description: 'Early access to drops' }],
+//     pausedSegmentId: 'Pau5ed',
+//     preferenceSchema: euPreferenceSchema,
+//   },
+//   us: {
+//     name: 'United States',
+//     shops: ['acme-us.myshopify.com'],
+//     allowedOrigins: ['https://acme.com', 'https://www.acme.com'],
+//     newsletterListId: 'Def456',
+//   },
+// };
+export default {};
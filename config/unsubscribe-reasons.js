@@ -0,0 +1,12 @@
+// Reasons customers can pick when they unsubscribe (POST /api/unsubscribe and
+// the hosted preference center). `key` is what's saved on the profile as
+// `unsubscribe_reason` and sent with the event, so keep keys stable once in
+// use; labels are English, translated in config/locales under
+// `unsubscribeReasons`.
+export default [
+  { key: 'too_many_emails', label: 'I get too many emails' },
+  { key: 'not_relevant', label: 'The emails aren\'t relevant to me' },
+  { key: 'no_longer_interested', label: 'I\'m no longer interested' },
+  { key: 'never_signed_up', label: 'I never signed up' },
+  { key: 'other', label: 'Other' },
+];
@@ -0,0 +1,109 @@
+import disposableDomains from '../config/disposable-domains.js';
+import { ApiError } from './errors.js';
+import { checkRateLimit } from './rate-limit.js';
+import { getCaptchaProvider } from './captcha.js';
+import { getClientIp } from './request.js';
+
+// Checks run before /api/subscribe touches Klaviyo: checkSubscribeSender()
+// first, then checkSubscribeEmail() once the email is known. Each rejection
+// carries a stable `code` the storefront can turn into a message for the
+// customer.
+
+const DEFAULT_LIMITS = {
+  ip: { limit: 10, windowSeconds: 10 * 60 },
+  email: { limit: 3, windowSeconds: 60 * 60 },
+};
+
+export class AbuseError extends ApiError {
+  constructor(code, message, { status = 400, retryAfter } = {}) {
+    super(code, message, status, { retryAfter });
+    this.name = 'AbuseError';
+  }
+}
+
+function limitFromEnv(prefix, defaults) {
+  return {
+    limit: Number(process.env[`${prefix}_LIMIT`]) || defaults.limit,
+    windowSeconds: Number(process.env[`${prefix}_WINDOW_SECONDS`]) || defaults.windowSeconds,
+  };
+}
+
+function getBlockedDomains() {
+  const extra = (process.env.DISPOSABLE_EMAIL_DOMAINS || '')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase())
+    .filter(Boolean);
+  return new Set([...disposableDomains, ...extra]);
+}
+
+export function isDisposableEmail(email) {
+  const domain = String(email).split('@').pop().toLowerCase();
+  const blocked = getBlockedDomains();
+  // Match subdomains too (e.g. foo.mailinator.com)
+  return [...blocked].some(d => domain === d || domain.endsWith(`.${d}`));
+}
+
+async function enforceRateLimit(key, limits) {
+  const result = await checkRateLimit(key, limits);
+  if (!result.allowed) {
+    throw new AbuseError('RATE_LIMITED', 'Too many requests. Please try again later.', {
+      status: 429,
+      retryAfter: result.retryAfter,
+    });
+  }
+}
+
+// A provider that can't be reached is reported apart from a failed CAPTCHA,
+// since the customer did nothing wrong
+async function verifyCaptcha(token, ip) {
+  const captcha = getCaptchaProvider();
+  if (!captcha) return;
+  if (!token) {
+    throw new AbuseError('CAPTCHA_REQUIRED', 'Please complete the CAPTCHA');
+  }
+
+  let result;
+  try {
+    result = await captcha.verify(token, ip);
+  } catch (error) {
+    console.error('CAPTCHA verification failed:', error);
+    throw new AbuseError('CAPTCHA_UNAVAILABLE', 'CAPTCHA verification is unavailable. Please try again shortly.', {
+      status: 503,
+    });
+  }
+  if (!result.success) {
+    throw new AbuseError('CAPTCHA_INVALID', 'CAPTCHA verification failed. Please try again.');
+  }
+}
+
+// Checks that don't need the email. They run before anything is looked up
+// for the request (App Proxy customers' profiles, their Shopify email), so a
+// refused request costs no Klaviyo or Shopify calls.
+export async function checkSubscribeSender(req, body) {
+  const honeypotField = process.env.SUBSCRIBE_HONEYPOT_FIELD;
+  if (honeypotField && body[honeypotField]) {
+    throw new AbuseError('HONEYPOT_TRIGGERED', 'Subscription could not be processed');
+  }
+
+  const ip = getClientIp(req);
+  if (ip) {
+    await enforceRateLimit(`subscribe:ip:${ip}`, limitFromEnv('SUBSCRIBE_IP', DEFAULT_LIMITS.ip));
+  }
+}
+
+// Checks for the email being subscribed, once it's known. Throws an
+// AbuseError if the subscribe request should be refused.
+export async function checkSubscribeEmail(req, body, email) {
+  if (isDisposableEmail(email)) {
+    throw new AbuseError('DISPOSABLE_EMAIL', 'Please use a permanent email address');
+  }
+
+  // Only requests that got past the CAPTCHA count towards the email's limit,
+  // so nobody can use up another customer's allowance without solving one
+  await verifyCaptcha(body.captchaToken, getClientIp(req));
+
+  await enforceRateLimit(
+    `subscribe:email:${email.toLowerCase()}`,
+    limitFromEnv('SUBSCRIBE_EMAIL', DEFAULT_LIMITS.email)
+  );
+}
@@ -0,0 +1,45 @@
+import crypto from 'node:crypto';
+import { ApiError } from './errors.js';
+
+// Operator-only features (deep health checks, admin endpoints) require
+// `Authorization: Bearer <ADMIN_API_TOKEN>`. They are disabled entirely
+// while ADMIN_API_TOKEN is unset.
+
+function readBearerToken(req) {
+  const header = req.headers?.authorization || '';
+  const match = String(header).match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+// Compares digests so neither the token's length nor content leaks via timing
+function tokensMatch(provided, expected) {
+  const a = crypto.createHash('sha256').update(provided).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+export function requireAdmin(req) {
+  const expected = process.env.ADMIN_API_TOKEN;
+  if (!expected) {
+    throw new ApiError('ADMIN_DISABLED', 'Admin access is not configured', 403);
+  }
+
+  const token = readBearerToken(req);
+  if (!token || !tokensMatch(token, expected)) {
+    throw new ApiError('ADMIN_UNAUTHORIZED', 'A valid admin token is required', 401);
+  }
+}
+
+// Vercel sends `Authorization: Bearer <CRON_SECRET>` with scheduled
+// invocations; cron routes refuse to run while CRON_SECRET is unset.
+export function requireCron(req) {
+  const expected = process.env.CRON_SECRET;
+  if (!expected) {
+    throw new ApiError('CRON_DISABLED', 'Scheduled jobs are not configured', 403);
+  }
+
+  const token = readBearerToken(req);
+  if (!token || !tokensMatch(token, expected)) {
+    throw new ApiError('CRON_UNAUTHORIZED', 'A valid cron secret is required', 401);
+  }
+}
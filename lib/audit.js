@@ -0,0 +1,193 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createRedisCommand } from './store.js';
+import { getClientIp, getRequestId } from './request.js';
+import { getCurrentTenantId, DEFAULT_TENANT_ID } from './tenants.js';
+
+// Consent audit trail: one record per subscribe, unsubscribe or preference
+// change, kept as evidence of when and how consent was given or withdrawn.
+//
+// Records go to an append-only JSON Lines file by default (AUDIT_LOG_PATH).
+// Serverless file systems are not durable, so production deployments should
+// set AUDIT_STORE=kv to keep the trail in Vercel KV / Upstash Redis, or plug
+// in their own adapter with setAuditStore().
+//
+// An adapter implements `append(record)`, `query({ email, shopifyId, tenant, limit })`,
+// returning the tenant's matching records newest first, and
+// `delete({ email, shopifyId, tenant })`, removing them for a GDPR redaction and
+// returning how many there were.
+
+const DEFAULT_LOG_PATH = '/tmp/consent-audit.jsonl';
+const DEFAULT_QUERY_LIMIT = 100;
+
+function matches(record, { email, shopifyId, tenant = DEFAULT_TENANT_ID }) {
+  if ((record.tenant || DEFAULT_TENANT_ID) !== tenant) return false;
+  return (email && record.email === email) || (shopifyId && record.shopifyId === shopifyId);
+}
+
+export function createFileAuditStore({ path: filePath = DEFAULT_LOG_PATH } = {}) {
+  async function readRecords() {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  return {
+    async append(record) {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.appendFile(filePath, `${JSON.stringify(record)}\n`, 'utf8');
+    },
+
+    async query({ email, shopifyId, tenant, limit = DEFAULT_QUERY_LIMIT }) {
+      return (await readRecords())
+        .filter(record => matches(record, { email, shopifyId, tenant }))
+        .reverse()
+        .slice(0, limit);
+    },
+
+    // Rewrites the file without the identity's records
+    async delete({ email, shopifyId, tenant }) {
+      const records = await readRecords();
+      const kept = records.filter(record => !matches(record, { email, shopifyId, tenant }));
+      if (kept.length === records.length) return 0;
+      await fs.writeFile(filePath, kept.map(record => `${JSON.stringify(record)}\n`).join(''), 'utf8');
+      return records.length - kept.length;
+    },
+  };
+}
+
+// Each record is pushed onto a list per tenant and identity so lookups don't
+// scan. Lists have no TTL: the trail is kept until deleted deliberately.
+export function createKvAuditStore({ url, token, prefix = 'kss:audit:' }) {
+  const command = createRedisCommand({ url, token });
+  const keysFor = ({ email, shopifyId, tenant = DEFAULT_TENANT_ID }) => {
+    const scope = tenant === DEFAULT_TENANT_ID ? prefix : `${prefix}${tenant}:`;
+    return [
+      ...(email ? [`${scope}email:${email}`] : []),
+      ...(shopifyId ? [`${scope}shopify:${shopifyId}`] : []),
+    ];
+  };
+
+  return {
+    async append(record) {
+      const value = JSON.stringify(record);
+      for (const key of keysFor(record)) await command('RPUSH', key, value);
+    },
+
+    async query({ email, shopifyId, tenant, limit = DEFAULT_QUERY_LIMIT }) {
+      const byId = new Map();
+      for (const key of keysFor({ email, shopifyId, tenant })) {
+        const values = await command('LRANGE', key, -limit, -1);
+        for (const value of values || []) {
+          const record = JSON.parse(value);
+          byId.set(record.id, record);
+        }
+      }
+      return [...byId.values()]
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+        .slice(0, limit);
+    },
+
+    // A record is also listed under any other email or Shopify ID it carries
+    // (e.g. the customer's previous email), so it is removed there too
+    async delete({ email, shopifyId, tenant }) {
+      const keys = keysFor({ email, shopifyId, tenant });
+      const byId = new Map();
+      for (const key of keys) {
+        for (const value of (await command('LRANGE', key, 0, -1)) || []) {
+          byId.set(JSON.parse(value).id, value);
+        }
+      }
+      for (const value of byId.values()) {
+        const record = JSON.parse(value);
+        for (const key of keysFor(record)) {
+          if (!keys.includes(key)) await command('LREM', key, 0, value);
+        }
+      }
+      if (keys.length) await command('DEL', ...keys);
+      return byId.size;
+    },
+  };
+}
+
+let defaultAuditStore = null;
+
+export function getAuditStore() {
+  if (!defaultAuditStore) {
+    const url = process.env.KV_REST_API_URL;
+    const token = process.env.KV_REST_API_TOKEN;
+    if (process.env.AUDIT_STORE === 'kv') {
+      if (!url || !token) throw new Error('AUDIT_STORE=kv requires KV_REST_API_URL and KV_REST_API_TOKEN');
+      defaultAuditStore = createKvAuditStore({ url, token });
+    } else {
+      defaultAuditStore = createFileAuditStore({ path: process.env.AUDIT_LOG_PATH || DEFAULT_LOG_PATH });
+    }
+  }
+  return defaultAuditStore;
+}
+
+export function setAuditStore(store) {
+  defaultAuditStore = store;
+}
+
+// Records a consent or preference change made by `req`. The change has
+// already been sent to Klaviyo, so a storage failure is logged rather than
+// failing the customer's request.
+// `source` is decided by the server; `clientSource` is whatever label the
+// client sent, kept apart so it can't pass for one.
+export async function recordAudit(req, {
+  action,
+  email,
+  shopifyId,
+  listId,
+  channels,
+  before,
+  after,
+  source,
+  clientSource,
+  job,
+}) {
+  const record = {
+    id: `aud_${crypto.randomUUID()}`,
+    timestamp: new Date().toISOString(),
+    tenant: getCurrentTenantId(),
+    action,
+    email: email || null,
+    shopifyId: shopifyId || null,
+    listId: listId || null,
+    channels: channels || null,
+    before: before ?? null,
+    after: after ?? null,
+    source: source || null,
+    clientSource: clientSource || null,
+    ip: getClientIp(req),
+    userAgent: req.headers?.['user-agent'] || null,
+    requestId: getRequestId(req),
+    jobId: job?.id || null,
+  };
+
+  try {
+    await getAuditStore().append(record);
+  } catch (error) {
+    console.error(`Consent audit write failed [${record.requestId}]:`, error, JSON.stringify(record));
+  }
+  return record;
+}
+
+export async function queryAudit({ email, shopifyId, limit }) {
+  const tenant = getCurrentTenantId();
+  return await getAuditStore().query({ email, shopifyId, tenant, limit });
+}
+
+// Removes the customer's records from the trail; returns how many there were
+export async function deleteAudit({ email, shopifyId }) {
+  if (!email && !shopifyId) return 0;
+  const tenant = getCurrentTenantId();
+  return await getAuditStore().delete({ email, shopifyId, tenant });
+}
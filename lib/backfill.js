@@ -0,0 +1,300 @@
+import defaultMapping from '../config/backfill.js';
+import {
+  bulkImportProfiles,
+  bulkImportPayload,
+  BULK_IMPORT_MAX_PROFILES,
+  BULK_IMPORT_MAX_BYTES,
+} from './profiles.js';
+import { importEmailConsent, BULK_SUBSCRIBE_MAX_PROFILES } from './subscriptions.js';
+import {
+  getPreferenceSchema,
+  validatePreferences,
+  buildPreferenceProperties,
+  PREFERENCE_MAP,
+  VALID_PREFERENCES,
+} from './preferences.js';
+import { requireEmail, normalizeShopifyId, ValidationError } from './validation.js';
+import { recordAudit } from './audit.js';
+
+// Backfilling customers from a Shopify export (see scripts/backfill.js).
+// Rows are read into a common customer shape, mapped to a Klaviyo profile
+// with preference properties, and sent in batches: one bulk profile import
+// job per batch, then historical consent for the customers Shopify has as
+// subscribed.
+
+export const BACKFILL_SOURCE = 'Shopify Backfill';
+
+// Email marketing states, across Shopify's REST, GraphQL and CSV exports,
+// that count as consent
+const SUBSCRIBED_STATES = ['subscribed', 'yes', 'true'];
+
+// Parses CSV as exported by Shopify (RFC 4180: quoted fields may hold
+// commas, quotes and newlines). Returns one object per row, keyed by header.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(r => r.some(value => value !== ''));
+  const keys = header.map(key => key.replace(/^\uFEFF/, '').trim());
+  return records.map(values => Object.fromEntries(keys.map((key, index) => [key, values[index] ?? ''])));
+}
+
+// Parses a JSONL export: Shopify Admin API customers, one per line. In a
+// GraphQL bulk operation export, metafields follow their customer as lines
+// with `__parentId`, and are attached to it.
+export function parseJsonl(text) {
+  const customers = [];
+  const byId = new Map();
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      customers.push({ __invalid: `Line ${index + 1} is not valid JSON` });
+      return;
+    }
+    if (record.__parentId) {
+      const parent = byId.get(record.__parentId);
+      if (parent) parent.metafields = [...(parent.metafields || []), record];
+      return;
+    }
+    customers.push(record);
+    if (record.id) byId.set(String(record.id), record);
+  });
+  return customers;
+}
+
+export function parseExport(text, format) {
+  return format === 'csv' ? parseCsv(text) : parseJsonl(text);
+}
+
+function column(record, ...names) {
+  const wanted = names.map(name => name.toLowerCase());
+  const key = Object.keys(record).find(k => wanted.includes(k.toLowerCase()));
+  return key === undefined ? undefined : record[key];
+}
+
+function splitTags(tags) {
+  if (Array.isArray(tags)) return tags.map(String);
+  return String(tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+// CSV columns of the form `Metafield: namespace.key [type]`, or API
+// metafields as an array of `{ namespace, key, value }`
+function readMetafields(record) {
+  if (Array.isArray(record.metafields)) {
+    return Object.fromEntries(record.metafields.map(m => [`${m.namespace}.${m.key}`, m.value]));
+  }
+  const metafields = {};
+  for (const [key, value] of Object.entries(record)) {
+    const match = key.match(/^metafield:\s*([^\s[]+)/i);
+    if (match && value !== '') metafields[match[1]] = value;
+  }
+  return metafields;
+}
+
+// One export record (CSV row or API customer) in a common shape
+export function normalizeCustomer(record) {
+  if (record.__invalid) throw new ValidationError('INVALID_ROW', record.__invalid);
+
+  const consent = record.email_marketing_consent || record.emailMarketingConsent
+    || record.defaultEmailAddress || {};
+  const state = consent.state || consent.marketingState
+    || column(record, 'Email Marketing: Status', 'Accepts Email Marketing', 'Accepts Marketing')
+    || (record.accepts_marketing === true ? 'subscribed' : '');
+
+  return {
+    shopifyId: String(record.id ?? column(record, 'Customer ID', 'ID') ?? '').replace(/^'/, ''),
+    email: record.email ?? record.defaultEmailAddress?.emailAddress ?? column(record, 'Email'),
+    firstName: record.first_name ?? record.firstName ?? column(record, 'First Name'),
+    lastName: record.last_name ?? record.lastName ?? column(record, 'Last Name'),
+    tags: splitTags(record.tags ?? column(record, 'Tags')),
+    metafields: readMetafields(record),
+    subscribed: SUBSCRIBED_STATES.includes(String(state).trim().toLowerCase()),
+    consentedAt: consent.consent_updated_at || consent.consentUpdatedAt || consent.marketingUpdatedAt
+      || column(record, 'Email Marketing: Updated At') || record.created_at || record.createdAt || null,
+  };
+}
+
+function parseListValue(value) {
+  if (Array.isArray(value)) return value.map(String);
+  const text = String(value).trim();
+  if (text.startsWith('[')) {
+    try {
+      return JSON.parse(text).map(String);
+    } catch {
+      // Not JSON after all; read it as a comma-separated list
+    }
+  }
+  return text.split(',').map(v => v.trim()).filter(Boolean);
+}
+
+// The preference values a customer's tags and metafields stand for
+function mapPreferences(customer, mapping, schema) {
+  const input = {};
+  const categories = new Set();
+  let hasCategories = false;
+
+  const addLegacy = (value, from) => {
+    const key = String(value).trim().toLowerCase();
+    if (!VALID_PREFERENCES.includes(key)) {
+      throw new ValidationError('INVALID_PREFERENCES', `${from} has unknown marketing_preference "${value}"`);
+    }
+    PREFERENCE_MAP[key].forEach(category => categories.add(category));
+    hasCategories = true;
+  };
+
+  const tagMap = Object.fromEntries(Object.entries(mapping.tags || {}).map(([tag, v]) => [tag.toLowerCase(), v]));
+  for (const tag of customer.tags) {
+    const value = tagMap[tag.toLowerCase()];
+    if (value) addLegacy(value, `Tag "${tag}"`);
+  }
+
+  for (const [metafield, target] of Object.entries(mapping.metafields || {})) {
+    const value = customer.metafields[metafield];
+    if (value === undefined || value === null || value === '') continue;
+
+    if (target === 'marketing_preference') {
+      addLegacy(value, `Metafield ${metafield}`);
+      continue;
+    }
+    const dimension = schema.dimensions.find(d => d.key === target);
+    if (!dimension) {
+      throw new ValidationError('INVALID_PREFERENCES', `Metafield ${metafield} maps to unknown preference "${target}"`);
+    }
+    const values = parseListValue(value);
+    input[target] = dimension.type === 'multi' ? values : values[0] ?? null;
+  }
+
+  if (hasCategories) input.categories = [...new Set([...(input.categories || []), ...categories])];
+
+  const { values, errors } = validatePreferences(input, schema);
+  if (errors.length) throw new ValidationError('INVALID_PREFERENCES', errors.join('; '));
+  return values;
+}
+
+// Turns a normalized customer into the profile to import. Throws a
+// ValidationError for rows that can't be imported.
+export function mapCustomer(customer, { mapping = defaultMapping, schema = getPreferenceSchema() } = {}) {
+  if (!customer.email) throw new ValidationError('EMAIL_REQUIRED', 'Customer has no email');
+  const email = requireEmail(customer.email);
+  const shopifyId = customer.shopifyId ? normalizeShopifyId(customer.shopifyId) : undefined;
+  if (customer.shopifyId && !shopifyId) {
+    throw new ValidationError('INVALID_SHOPIFY_ID', `Invalid Shopify customer ID "${customer.shopifyId}"`);
+  }
+
+  const values = mapPreferences(customer, mapping, schema);
+  const properties = Object.keys(values).length ? buildPreferenceProperties(values, schema) : {};
+
+  return {
+    profile: {
+      email,
+      shopifyId,
+      firstName: customer.firstName || undefined,
+      lastName: customer.lastName || undefined,
+      properties,
+    },
+    preferences: values,
+    subscribed: customer.subscribed,
+    consentedAt: customer.consentedAt,
+  };
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+// Splits `entries` into import jobs within Klaviyo's profile and payload
+// size limits
+export function planImportJobs(entries, maxProfiles = BULK_IMPORT_MAX_PROFILES) {
+  const jobs = [];
+  for (const batch of chunk(entries, Math.min(maxProfiles, BULK_IMPORT_MAX_PROFILES))) {
+    const size = Buffer.byteLength(JSON.stringify(bulkImportPayload(batch.map(entry => entry.profile))));
+    if (size <= BULK_IMPORT_MAX_BYTES || batch.length === 1) {
+      jobs.push(batch);
+    } else {
+      jobs.push(...planImportJobs(batch, Math.ceil(batch.length / 2)));
+    }
+  }
+  return jobs;
+}
+
+// Sends one batch of mapped customers (`{ row, profile, subscribed,
+// consentedAt }`) to Klaviyo. A failed Klaviyo job fails every row in it;
+// returns the rows that failed with the reason.
+export async function importBatch(req, entries, { listId, now = new Date().toISOString() } = {}) {
+  const failures = [];
+  const imported = [];
+
+  for (const job of planImportJobs(entries)) {
+    try {
+      await bulkImportProfiles(job.map(entry => entry.profile));
+      imported.push(...job);
+    } catch (error) {
+      failures.push(...job.map(entry => ({ row: entry.row, code: 'IMPORT_FAILED', reason: error.message })));
+    }
+  }
+
+  const consenting = imported.filter(entry => entry.subscribed);
+  for (const job of chunk(consenting, BULK_SUBSCRIBE_MAX_PROFILES)) {
+    try {
+      await importEmailConsent(
+        job.map(({ profile, consentedAt }) => ({ email: profile.email, consentedAt: consentedAt || now })),
+        { source: BACKFILL_SOURCE, listId },
+      );
+    } catch (error) {
+      failures.push(...job.map(entry => ({ row: entry.row, code: 'CONSENT_FAILED', reason: error.message })));
+      continue;
+    }
+    for (const { profile } of job) {
+      await recordAudit(req, {
+        action: 'subscribe',
+        email: profile.email,
+        shopifyId: profile.shopifyId,
+        listId,
+        channels: ['email'],
+        after: { email: 'SUBSCRIBED' },
+        source: BACKFILL_SOURCE,
+      });
+    }
+  }
+
+  return failures;
+}
@@ -0,0 +1,39 @@
+// CAPTCHA token verification behind a provider interface.
+//
+// A provider is `{ verify(token, remoteIp) => Promise<{ success, errorCodes }> }`,
+// and rejects when the provider can't be reached rather than reporting failure.
+// Turnstile, hCaptcha and reCAPTCHA are built in; select one with
+// CAPTCHA_PROVIDER and CAPTCHA_SECRET_KEY, or register your own.
+
+function siteverifyProvider(verifyUrl) {
+  return {
+    async verify(token, remoteIp) {
+      const params = new URLSearchParams({ secret: process.env.CAPTCHA_SECRET_KEY || '', response: token });
+      if (remoteIp) params.set('remoteip', remoteIp);
+
+      const response = await fetch(verifyUrl, { method: 'POST', body: params });
+      if (!response.ok) throw new Error(`CAPTCHA siteverify answered ${response.status}`);
+      const data = await response.json().catch(() => ({}));
+      return { success: data.success === true, errorCodes: data['error-codes'] || [] };
+    },
+  };
+}
+
+const providers = {
+  turnstile: siteverifyProvider('https://challenges.cloudflare.com/turnstile/v0/siteverify'),
+  hcaptcha: siteverifyProvider('https://api.hcaptcha.com/siteverify'),
+  recaptcha: siteverifyProvider('https://www.google.com/recaptcha/api/siteverify'),
+};
+
+export function registerCaptchaProvider(name, provider) {
+  providers[name] = provider;
+}
+
+// Returns the configured provider, or null when CAPTCHA is disabled.
+export function getCaptchaProvider() {
+  const name = process.env.CAPTCHA_PROVIDER;
+  if (!name) return null;
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown CAPTCHA_PROVIDER: ${name}`);
+  return provider;
+}
@@ -0,0 +1,319 @@
+import { createOrUpdateProfile, updateProfile, upsertProfile, assertProfileVersion } from './profiles.js';
+import { findProfile, resolveProfile } from './identity.js';
+import { addProfileToList, removeProfileFromList, isDoubleOptInList } from './lists.js';
+import { subscribeProfile, unsubscribeProfile, markEmailConsentPending, consentChange } from './subscriptions.js';
+import { createJob, JOB_STATUS } from './jobs.js';
+import { formatPreferences, buildPreferenceProperties } from './preferences.js';
+import { trackEvent, consentChangeProperties, EVENTS } from './events.js';
+import { readPause, pauseProperties, resumeProperties, PAUSED_UNTIL_PROPERTY } from './pause.js';
+import { reasonProperties } from './unsubscribe-reasons.js';
+import { recordAudit } from './audit.js';
+import { LOCALE_PROPERTY } from './i18n.js';
+import { resolveProxiedEmail } from './shopify-proxy.js';
+import { getRequestId } from './request.js';
+import { ApiError } from './errors.js';
+
+// Consent and preference changes made for a customer. Each one writes to
+// Klaviyo, creates the job the storefront can poll, and records the audit
+// trail and Klaviyo event, so the JSON endpoints, email links and the hosted
+// preference center all behave the same. Callers resolve the identity and
+// validate input first.
+//
+// `profile` is the customer's current profile when the caller already has
+// it; otherwise it is found with resolveProfile(), which refuses an `email`
+// that differs from the customer's Shopify-linked profile. `locale`, when given, is
+// stored on the profile so campaigns can be sent in the customer's language.
+//
+// `source` says where the change came from and is set by the server from the
+// route and how the caller was identified (see requestSource()); a label the
+// client sent is only ever kept as `clientSource`.
+
+export async function subscribeCustomer(req, {
+  email,
+  shopifyId,
+  profile,
+  channels,
+  phoneNumber,
+  list,
+  source,
+  clientSource,
+  locale,
+}) {
+  if (!profile) ({ profile, email } = await resolveProfile(req, { email, shopifyId }, { source }));
+  if (locale && profile?.attributes?.properties?.[LOCALE_PROPERTY] !== locale) {
+    await upsertProfile({ email, shopifyId, properties: { [LOCALE_PROPERTY]: locale } });
+  }
+  // Asking for emails while they're paused ends the pause
+  if (channels.includes('email') && readPause(profile?.attributes?.properties).isPaused) {
+    await resumeCustomer(req, { profile, shopifyId, source, clientSource });
+  }
+
+  // A profile that already has email consent only needs adding to the
+  // list; anyone else (or any SMS opt-in) goes through a subscription job
+  // to record consent.
+  const hasConsent = profile?.attributes?.subscriptions?.email?.marketing?.consent === 'SUBSCRIBED';
+
+  const jobFields = { type: 'subscribe', email, shopifyId, channels, listId: list?.id };
+  let job;
+
+  if (list && hasConsent && !channels.includes('sms')) {
+    await addProfileToList(list.id, profile.id);
+    job = await createJob({ ...jobFields, status: JOB_STATUS.COMPLETED });
+  } else {
+    const doubleOptIn = channels.includes('email') && await isDoubleOptInList(list?.id);
+    await subscribeProfile({ email, phoneNumber, channels, source, listId: list?.id });
+    if (doubleOptIn) {
+      await markEmailConsentPending({ email, shopifyId, listId: list.id });
+    }
+    job = await createJob({ ...jobFields, doubleOptIn });
+  }
+
+  const pending = job.status === JOB_STATUS.PENDING_CONFIRMATION;
+  const consent = consentChange(profile, channels, pending ? 'PENDING_CONFIRMATION' : 'SUBSCRIBED');
+  await recordAudit(req, {
+    action: 'subscribe',
+    email,
+    shopifyId,
+    listId: list?.id,
+    channels,
+    ...consent,
+    source,
+    clientSource,
+    job,
+  });
+  await trackEvent(EVENTS.SUBSCRIBED, {
+    email,
+    phoneNumber,
+    uniqueId: job.id,
+    properties: {
+      channels,
+      list_id: list?.id || null,
+      list_name: list?.name || null,
+      pending_confirmation: pending,
+      ...consentChangeProperties(consent),
+      source,
+      client_source: clientSource || null,
+    },
+  });
+
+  return { job, pending, consent };
+}
+
+// Globally unsubscribes `channels`. `event` names the Klaviyo event to send.
+// `reason` is the customer's `{ reason, reasonText }` from
+// parseUnsubscribeReason(), if they gave one.
+export async function unsubscribeCustomer(req, {
+  email,
+  shopifyId,
+  profile,
+  channels,
+  phoneNumber,
+  source,
+  clientSource,
+  reason,
+  event = EVENTS.UNSUBSCRIBED,
+}) {
+  // The previous consent is only needed for the audit trail and event, so
+  // a failed lookup mustn't stop the unsubscribe. An opt-out is never held up
+  // by identity resolution: it applies to the email given.
+  if (!profile) profile = await findProfile({ email }).catch(() => null);
+
+  await unsubscribeProfile({ email, phoneNumber, channels });
+  const job = await createJob({ type: 'unsubscribe', email, shopifyId, channels });
+
+  // The customer is unsubscribed either way, so a failed write of the
+  // reason is only logged
+  if (reason) {
+    const properties = reasonProperties(reason);
+    await (profile ? updateProfile(profile.id, { properties }) : upsertProfile({ email, properties }))
+      .catch(error => console.error(`Saving unsubscribe reason failed [${getRequestId(req)}]:`, error));
+  }
+
+  const consent = consentChange(profile, channels, 'UNSUBSCRIBED');
+  await recordAudit(req, {
+    action: 'unsubscribe',
+    email,
+    shopifyId,
+    channels,
+    ...consent,
+    source,
+    clientSource,
+    job,
+  });
+  await trackEvent(event, {
+    email,
+    phoneNumber,
+    uniqueId: job.id,
+    properties: {
+      scope: 'global',
+      channels,
+      ...consentChangeProperties(consent),
+      ...(reason && { reason: reason.reason, reason_text: reason.reasonText }),
+      source,
+      client_source: clientSource || null,
+    },
+  });
+
+  return { job, consent };
+}
+
+// Pauses marketing email for `days` (see lib/pause.js); consent is
+// unchanged. Returns when emails resume.
+export async function pauseCustomer(req, { email, shopifyId, profile, days, source, clientSource }) {
+  if (!profile) ({ profile, email } = await resolveProfile(req, { email, shopifyId }, { source }));
+  if (!profile) throw new ApiError('PROFILE_NOT_FOUND', 'Profile not found', 404);
+
+  const before = readPause(profile.attributes?.properties);
+  const properties = pauseProperties(days);
+  await updateProfile(profile.id, { properties });
+
+  const pausedUntil = properties[PAUSED_UNTIL_PROPERTY];
+  await recordAudit(req, {
+    action: 'pause',
+    email,
+    shopifyId,
+    channels: ['email'],
+    before: { pausedUntil: before.pausedUntil },
+    after: { pausedUntil },
+    source,
+    clientSource,
+  });
+  await trackEvent(EVENTS.PAUSED, {
+    email,
+    uniqueId: getRequestId(req),
+    properties: { pause_days: days, paused_until: pausedUntil, source, client_source: clientSource || null },
+  });
+
+  return { pausedUntil };
+}
+
+// Ends a pause early, or clears one that has run out
+export async function resumeCustomer(req, { profile, shopifyId, source, clientSource }) {
+  const email = profile.attributes?.email;
+  const before = profile.attributes?.properties?.[PAUSED_UNTIL_PROPERTY] || null;
+  await updateProfile(profile.id, { properties: resumeProperties() });
+
+  await recordAudit(req, {
+    action: 'resume',
+    email,
+    shopifyId: shopifyId || profile.attributes?.properties?.shopify_customer_id,
+    channels: ['email'],
+    before: { pausedUntil: before },
+    after: { pausedUntil: null },
+    source,
+    clientSource,
+  });
+  await trackEvent(EVENTS.RESUMED, {
+    email,
+    uniqueId: `${profile.id}:${before}`,
+    properties: { paused_until: before, source, client_source: clientSource || null },
+  });
+}
+
+// Leaves one list and keeps email consent
+export async function removeCustomerFromList(req, { email, shopifyId, profile, list, source, clientSource }) {
+  if (!profile) ({ profile, email } = await resolveProfile(req, { email, shopifyId }, { source }));
+  if (!profile) throw new ApiError('PROFILE_NOT_FOUND', 'Profile not found', 404);
+
+  await removeProfileFromList(list.id, profile.id);
+  const job = await createJob({
+    type: 'unsubscribe_list',
+    email,
+    shopifyId,
+    listId: list.id,
+    status: JOB_STATUS.COMPLETED,
+  });
+
+  // Consent is unchanged; only the list membership went
+  const consent = consentChange(profile, [], null);
+  await recordAudit(req, {
+    action: 'unsubscribe_list',
+    email,
+    shopifyId,
+    listId: list.id,
+    ...consent,
+    source,
+    clientSource,
+    job,
+  });
+  await trackEvent(EVENTS.UNSUBSCRIBED, {
+    email,
+    uniqueId: job.id,
+    properties: {
+      scope: 'list',
+      list_id: list.id,
+      list_name: list.name,
+      ...consentChangeProperties(consent),
+      source,
+      client_source: clientSource || null,
+    },
+  });
+
+  return { job };
+}
+
+// Writes validated preference `values` (see resolvePreferenceUpdate) for the
+// identity from resolveCustomerIdentity() or a link token, creating the
+// profile if needed. Pass `expectedVersion` to refuse the write when the
+// profile has changed since the client read it. Returns the preferences
+// before and after, and the profile as written.
+export async function updateCustomerPreferences(req, {
+  email,
+  shopifyId,
+  proxied,
+  claimedEmail,
+  values,
+  source,
+  clientSource,
+  locale,
+  expectedVersion,
+}) {
+  const properties = {
+    ...buildPreferenceProperties(values),
+    ...(locale && { [LOCALE_PROPERTY]: locale }),
+  };
+
+  const resolved = await resolveProfile(req, { email, shopifyId }, { source });
+  let { profile } = resolved;
+  assertProfileVersion(profile, expectedVersion);
+  const previous = formatPreferences(profile?.attributes?.properties);
+
+  if (!profile) {
+    // A proxied customer without a Klaviyo profile yet gets one under the
+    // email from resolveProxiedEmail(), bound to their Shopify ID
+    const createEmail = resolved.email || (proxied ? await resolveProxiedEmail({ shopifyId, claimedEmail }) : null);
+    if (!createEmail) {
+      throw new ApiError('PROFILE_NOT_FOUND', 'Profile not found', 404);
+    }
+    profile = await createOrUpdateProfile({ email: createEmail, shopifyId, properties });
+  } else {
+    profile = await updateProfile(profile.id, { properties });
+  }
+
+  const current = formatPreferences(profile?.attributes?.properties);
+  if (JSON.stringify(previous) !== JSON.stringify(current)) {
+    await recordAudit(req, {
+      action: 'preferences_update',
+      email: profile?.attributes?.email,
+      shopifyId,
+      before: previous,
+      after: current,
+      source,
+      clientSource,
+    });
+    await trackEvent(EVENTS.PREFERENCE_UPDATED, {
+      email: profile?.attributes?.email,
+      uniqueId: getRequestId(req),
+      properties: {
+        old_marketing_preference: previous.marketing_preference,
+        new_marketing_preference: current.marketing_preference,
+        old_preferences: previous.preferences,
+        new_preferences: current.preferences,
+        source,
+        client_source: clientSource || null,
+      },
+    });
+  }
+
+  return { previous, current, profile };
+}
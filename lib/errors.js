@@ -0,0 +1,105 @@
+import { KlaviyoError, KlaviyoRateLimitError, KlaviyoTimeoutError, KlaviyoNetworkError } from './klaviyo.js';
+import { getRequestId } from './request.js';
+import { getLocale, translateError } from './i18n.js';
+
+// Every endpoint reports failures with the same envelope:
+//
+//   { success: false, error: '<safe message>', code: 'MACHINE_CODE', requestId: '...' }
+//
+// `error` is always safe to show to a customer, in the request's locale where
+// a translation exists; raw Klaviyo messages are only logged.
+
+export class ApiError extends Error {
+  constructor(code, message, status = 400, { retryAfter, details } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.details = details;
+  }
+}
+
+// Klaviyo error codes that mean something specific to the customer
+const KLAVIYO_CODE_MAP = {
+  duplicate_profile: { code: 'PROFILE_EXISTS', status: 409, message: 'A profile with these details already exists' },
+  invalid_email: { code: 'INVALID_EMAIL', status: 400, message: 'Invalid email format' },
+  invalid_phone_number: { code: 'INVALID_PHONE_NUMBER', status: 400, message: 'Invalid phone number' },
+};
+
+function fromKlaviyoError(error) {
+  const mapped = KLAVIYO_CODE_MAP[error.code];
+  if (mapped) return new ApiError(mapped.code, mapped.message, mapped.status);
+
+  if (error instanceof KlaviyoRateLimitError) {
+    return new ApiError('RATE_LIMITED', 'Too many requests. Please try again shortly.', 429, {
+      retryAfter: error.retryAfter ? Math.ceil(error.retryAfter / 1000) : undefined,
+    });
+  }
+  if (error instanceof KlaviyoTimeoutError || error instanceof KlaviyoNetworkError || error.status >= 500) {
+    return new ApiError('UPSTREAM_UNAVAILABLE', 'The service is temporarily unavailable. Please try again.', 503);
+  }
+  // A bad or under-scoped key is our configuration problem, not the customer's
+  if (error.status === 401 || error.status === 403) {
+    return new ApiError('UPSTREAM_AUTH_FAILED', 'The service is temporarily unavailable. Please try again.', 502);
+  }
+  if (error.status === 404) return new ApiError('NOT_FOUND', 'Not found', 404);
+  if (error.status === 409) return new ApiError('CONFLICT', 'The request conflicts with existing data', 409);
+  return new ApiError('INVALID_REQUEST', 'The request could not be processed. Please check your details.', 400);
+}
+
+export function toApiError(error) {
+  if (error instanceof ApiError) return error;
+  if (error instanceof KlaviyoError) return fromKlaviyoError(error);
+  return new ApiError('INTERNAL_ERROR', 'Something went wrong. Please try again.', 500);
+}
+
+// Maps `error` to the ApiError to respond with. Anything that isn't a
+// deliberate client error is logged with the request ID so it can be traced.
+export function reportError(req, error, label = 'API error') {
+  const apiError = toApiError(error);
+  if (apiError.status >= 500 || error instanceof KlaviyoError) {
+    console.error(`${label} [${getRequestId(req)}]:`, error);
+  }
+  return apiError;
+}
+
+// Sends `error` in the standard envelope
+export function sendError(req, res, error, label = 'API error') {
+  const apiError = reportError(req, error, label);
+  const requestId = getRequestId(req);
+  const locale = getLocale(req);
+
+  res.setHeader('X-Request-Id', requestId);
+  res.setHeader('Content-Language', locale);
+  if (apiError.retryAfter) res.setHeader('Retry-After', String(apiError.retryAfter));
+
+  return res.status(apiError.status).json({
+    success: false,
+    error: translateError(locale, apiError),
+    code: apiError.code,
+    requestId,
+    ...(apiError.details && { details: apiError.details }),
+  });
+}
+
+// Parses a JSON request body, which Vercel may hand over as a string
+export function parseJsonBody(req) {
+  if (req.body === undefined || req.body === null || req.body === '') return {};
+  if (typeof req.body === 'object' && !Buffer.isBuffer(req.body)) return req.body;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.isBuffer(req.body) ? req.body.toString('utf8') : req.body);
+  } catch {
+    throw new ApiError('INVALID_JSON', 'Request body must be valid JSON', 400);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new ApiError('INVALID_JSON', 'Request body must be a JSON object', 400);
+  }
+  return parsed;
+}
+
+export function methodNotAllowed() {
+  return new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed', 405);
+}
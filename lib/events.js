@@ -0,0 +1,66 @@
+import { klaviyoRequest } from './klaviyo.js';
+
+// Klaviyo events let flows react to changes made from the account page.
+// Tracking is best-effort: a failed event is logged and never fails the
+// customer's request. Set KLAVIYO_EVENTS_ENABLED=false to turn it off.
+
+export const EVENTS = {
+  PREFERENCE_UPDATED: 'Updated Marketing Preference',
+  SUBSCRIBED: 'Subscribed via Account Page',
+  UNSUBSCRIBED: 'Unsubscribed via Account Page',
+  EMAIL_LINK_UNSUBSCRIBED: 'Unsubscribed via Email Link',
+  PAUSED: 'Paused Marketing Emails',
+  RESUMED: 'Resumed Marketing Emails',
+};
+
+// Events are sent while the customer waits, so don't retry or wait long
+const EVENT_CONFIG = { maxRetries: 0, timeoutMs: 3000 };
+
+// Flattens a `consentChange()` result into event properties
+export function consentChangeProperties({ before, after }) {
+  const properties = {};
+  for (const channel of Object.keys(before)) {
+    properties[`old_${channel}_consent`] = before[channel];
+    properties[`new_${channel}_consent`] = after[channel];
+  }
+  return properties;
+}
+
+export function isEventTrackingEnabled() {
+  return process.env.KLAVIYO_EVENTS_ENABLED !== 'false';
+}
+
+// `uniqueId` lets Klaviyo drop a duplicate if the same change is reported twice.
+// Returns whether the event was accepted.
+export async function trackEvent(name, { email, phoneNumber, properties = {}, uniqueId }) {
+  if (!isEventTrackingEnabled() || (!email && !phoneNumber)) return false;
+
+  const payload = {
+    data: {
+      type: 'event',
+      attributes: {
+        properties,
+        time: new Date().toISOString(),
+        ...(uniqueId && { unique_id: uniqueId }),
+        metric: { data: { type: 'metric', attributes: { name } } },
+        profile: {
+          data: {
+            type: 'profile',
+            attributes: {
+              ...(email && { email }),
+              ...(phoneNumber && { phone_number: phoneNumber }),
+            },
+          },
+        },
+      },
+    },
+  };
+
+  try {
+    await klaviyoRequest('/events/', { method: 'POST', body: JSON.stringify(payload), config: EVENT_CONFIG });
+    return true;
+  } catch (error) {
+    console.error(`Klaviyo event "${name}" failed:`, error);
+    return false;
+  }
+}
@@ -0,0 +1,86 @@
+import locales from '../config/locales/index.js';
+
+// Locale handling. A request's locale is its `locale` parameter (query or
+// JSON body) if that's supported, else the best match from Accept-Language,
+// else English. `fr-CA` falls back to `fr` when only `fr` exists.
+
+export const DEFAULT_LOCALE = 'en';
+
+// Klaviyo profile property holding the customer's locale, for sending
+// campaigns in the right language
+export const LOCALE_PROPERTY = 'locale';
+
+export function getSupportedLocales() {
+  return Object.keys(locales);
+}
+
+// Returns the supported locale for a BCP 47 tag, or null
+export function matchLocale(tag) {
+  if (typeof tag !== 'string' || !tag) return null;
+  const supported = getSupportedLocales();
+  const lower = tag.trim().toLowerCase();
+  const exact = supported.find(locale => locale.toLowerCase() === lower);
+  if (exact) return exact;
+  const [language] = lower.split('-');
+  return supported.find(locale => locale.toLowerCase() === language) || null;
+}
+
+// Tags from an Accept-Language header, most preferred first
+function parseAcceptLanguage(header) {
+  return String(header || '')
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { tag, q: q ? Number(q.slice(2)) : 1, index };
+    })
+    .filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ tag }) => tag);
+}
+
+// Resolves the request's locale once and caches it on the request
+export function getLocale(req) {
+  if (!req) return DEFAULT_LOCALE;
+  if (!req.locale) {
+    const body = req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body) ? req.body : {};
+    const requested = matchLocale(req.query?.locale) || matchLocale(body.locale);
+    const accepted = parseAcceptLanguage(req.headers?.['accept-language']).map(matchLocale).find(Boolean);
+    req.locale = requested || accepted || DEFAULT_LOCALE;
+  }
+  return req.locale;
+}
+
+function lookup(messages, key) {
+  return key.split('.').reduce((node, part) => node?.[part], messages);
+}
+
+function interpolate(template, params = {}) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// Message `key` (e.g. 'messages.subscribed') in `locale`, falling back to
+// English and then to the key itself
+export function translate(locale, key, params) {
+  const message = lookup(locales[locale], key) ?? lookup(locales[DEFAULT_LOCALE], key);
+  return typeof message === 'string' ? interpolate(message, params) : key;
+}
+
+// A whole section (e.g. 'preferenceCenter') with English filling any gaps
+export function translateSection(locale, section) {
+  return { ...locales[DEFAULT_LOCALE][section], ...locales[locale]?.[section] };
+}
+
+// The customer-facing message for an ApiError: the locale's translation of
+// its code if there is one, otherwise the message it was thrown with
+export function translateError(locale, apiError) {
+  return locales[locale]?.errors?.[apiError.code] || apiError.message;
+}
+
+// Translated label for a preference dimension (no `option`) or one of its
+// options, or `fallback` (the schema's English label)
+export function translatePreferenceLabel(locale, dimensionKey, option, fallback) {
+  const dimension = locales[locale]?.preferences?.[dimensionKey];
+  const label = option === undefined ? dimension?.label : dimension?.options?.[option];
+  return label || fallback;
+}
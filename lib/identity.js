@@ -0,0 +1,96 @@
+import { getProfileByEmail, getProfileByShopifyId, updateProfile } from './profiles.js';
+import { recordAudit } from './audit.js';
+import { ApiError } from './errors.js';
+import { requireTenant } from './tenants.js';
+
+// Matching a customer to their Klaviyo profile. A Shopify customer's profile
+// carries `external_id: shopify_<id>`, so once they change their email in
+// Shopify a lookup by the new email misses it, and writing by email would
+// start a second profile with half their consent and preferences. Every
+// handler looks customers up through here instead:
+//
+//   findProfile()    — reads; prefers the Shopify-linked profile
+//   resolveProfile() — before writes; brings the linked profile's email in
+//                      line with a trusted request, or refuses
+//
+// What happens when the emails differ is the store's email change policy
+// (EMAIL_CHANGE_POLICY, or `emailChangePolicy` in config/tenants.js):
+//
+//   'update' — move the linked profile to the new email (the default)
+//   'reject' — leave it and answer IDENTITY_CONFLICT
+//
+// 'update' only applies when Shopify vouches for the pair (`trusted`: its
+// webhooks). Callers that merely sent an email and Shopify ID are always
+// treated as 'reject', or anyone could move a customer's profile away.
+//
+// When the new email already has a profile of its own, both policies answer
+// IDENTITY_CONFLICT; merging two profiles is left to an admin in Klaviyo.
+
+export const EMAIL_CHANGE_POLICIES = ['update', 'reject'];
+const DEFAULT_EMAIL_CHANGE_POLICY = 'update';
+
+// `profile` is the Shopify-linked profile, left as it was
+export class IdentityConflictError extends ApiError {
+  constructor(message, profile) {
+    super('IDENTITY_CONFLICT', message, 409);
+    this.name = 'IdentityConflictError';
+    this.profile = profile;
+  }
+}
+
+export function getEmailChangePolicy() {
+  const policy = requireTenant().emailChangePolicy || DEFAULT_EMAIL_CHANGE_POLICY;
+  if (EMAIL_CHANGE_POLICIES.includes(policy)) return policy;
+  console.error(`Unknown email change policy "${policy}"; using "${DEFAULT_EMAIL_CHANGE_POLICY}"`);
+  return DEFAULT_EMAIL_CHANGE_POLICY;
+}
+
+function sameEmail(a, b) {
+  return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+}
+
+// The customer's profile, without changing anything
+export async function findProfile({ email, shopifyId }) {
+  const linked = shopifyId ? await getProfileByShopifyId(shopifyId) : null;
+  if (linked || !email) return linked;
+  return await getProfileByEmail(email);
+}
+
+// The profile a write for this customer should go to, and the email to write
+// it under. Null `profile` means the customer has none yet.
+export async function resolveProfile(req, { email, shopifyId }, { source, trusted = false } = {}) {
+  const linked = shopifyId ? await getProfileByShopifyId(shopifyId) : null;
+  const linkedEmail = linked?.attributes?.email;
+
+  if (!email) return { profile: linked, email: linkedEmail };
+  if (!linked) return { profile: await getProfileByEmail(email), email };
+  if (sameEmail(linkedEmail, email)) return { profile: linked, email: linkedEmail };
+
+  const other = await getProfileByEmail(email);
+  const clash = other && other.id !== linked.id;
+
+  if (!clash && trusted && getEmailChangePolicy() === 'update') {
+    const profile = await updateProfile(linked.id, { email });
+    await recordAudit(req, {
+      action: 'email_change',
+      email,
+      shopifyId,
+      before: { email: linkedEmail || null },
+      after: { email },
+      source,
+    });
+    return { profile, email };
+  }
+
+  await recordAudit(req, {
+    action: 'identity_conflict',
+    email,
+    shopifyId,
+    before: { email: linkedEmail || null, profileId: linked.id },
+    after: { email, profileId: other?.id || null },
+    source,
+  });
+  throw new IdentityConflictError(clash
+    ? 'This email address belongs to another profile'
+    : 'This email address does not match the one on the customer\'s profile', linked);
+}
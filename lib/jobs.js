@@ -0,0 +1,112 @@
+import crypto from 'node:crypto';
+import { getStore } from './store.js';
+import { getProfileByEmail } from './profiles.js';
+import { getProfileListIds } from './lists.js';
+import { getCurrentTenantId, DEFAULT_TENANT_ID } from './tenants.js';
+
+// Klaviyo accepts subscription jobs with a 202 and no way to poll them, so a
+// job here is our own record of what was requested. Its status is worked out
+// by checking whether the profile has reached the requested consent state.
+
+const JOB_TTL_SECONDS = 7 * 24 * 60 * 60;
+// Single opt-in jobs that haven't landed by then are reported as failed
+const JOB_TIMEOUT_MS = 15 * 60 * 1000;
+
+export const JOB_STATUS = {
+  PROCESSING: 'processing',
+  PENDING_CONFIRMATION: 'pending_confirmation',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+};
+
+const TERMINAL_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED];
+
+function jobKey(id) {
+  return `job:${id}`;
+}
+
+export async function createJob({ type, email, shopifyId, channels = ['email'], listId, doubleOptIn = false, status }) {
+  const now = new Date().toISOString();
+  const job = {
+    id: `job_${crypto.randomUUID()}`,
+    tenant: getCurrentTenantId(),
+    type,
+    email,
+    shopifyId: shopifyId || null,
+    channels,
+    listId: listId || null,
+    doubleOptIn,
+    status: status || (doubleOptIn ? JOB_STATUS.PENDING_CONFIRMATION : JOB_STATUS.PROCESSING),
+    createdAt: now,
+    updatedAt: now,
+  };
+  await getStore().set(jobKey(job.id), job, JOB_TTL_SECONDS);
+  return job;
+}
+
+// Jobs are only visible to the store that created them
+export async function getJob(id) {
+  if (!id) return null;
+  const job = await getStore().get(jobKey(id));
+  if (!job || (job.tenant || DEFAULT_TENANT_ID) !== getCurrentTenantId()) return null;
+  return job;
+}
+
+export function jobReference(job) {
+  return { id: job.id, status: job.status, statusUrl: `/api/jobs?id=${encodeURIComponent(job.id)}` };
+}
+
+function channelConsent(profile, channel) {
+  return profile?.attributes?.subscriptions?.[channel]?.marketing?.consent;
+}
+
+async function evaluateSubscribe(job, profile) {
+  const consents = job.channels.map(channel => channelConsent(profile, channel));
+
+  if (consents.some(consent => consent === 'SUPPRESSED')) {
+    return { status: JOB_STATUS.FAILED, reason: 'suppressed' };
+  }
+
+  let done = profile && consents.every(consent => consent === 'SUBSCRIBED');
+  if (done && job.listId) {
+    done = (await getProfileListIds(profile.id)).has(job.listId);
+  }
+  if (done) return { status: JOB_STATUS.COMPLETED };
+
+  if (job.doubleOptIn) return { status: JOB_STATUS.PENDING_CONFIRMATION };
+  if (Date.now() - Date.parse(job.createdAt) > JOB_TIMEOUT_MS) {
+    return { status: JOB_STATUS.FAILED, reason: 'timed_out' };
+  }
+  return { status: JOB_STATUS.PROCESSING };
+}
+
+function evaluateUnsubscribe(job, profile) {
+  const done = job.channels.every(channel => channelConsent(profile, channel) !== 'SUBSCRIBED');
+  if (done) return { status: JOB_STATUS.COMPLETED };
+  if (Date.now() - Date.parse(job.createdAt) > JOB_TIMEOUT_MS) {
+    return { status: JOB_STATUS.FAILED, reason: 'timed_out' };
+  }
+  return { status: JOB_STATUS.PROCESSING };
+}
+
+// Re-checks a job against Klaviyo and stores the result.
+export async function refreshJob(job) {
+  if (TERMINAL_STATUSES.includes(job.status)) return job;
+
+  const profile = await getProfileByEmail(job.email);
+  const result = job.type === 'unsubscribe'
+    ? evaluateUnsubscribe(job, profile)
+    : await evaluateSubscribe(job, profile);
+
+  if (result.status === job.status && !result.reason) return job;
+
+  const updated = {
+    ...job,
+    status: result.status,
+    ...(result.reason && { reason: result.reason }),
+    updatedAt: new Date().toISOString(),
+    ...(TERMINAL_STATUSES.includes(result.status) && { finishedAt: new Date().toISOString() }),
+  };
+  await getStore().set(jobKey(job.id), updated, JOB_TTL_SECONDS);
+  return updated;
+}
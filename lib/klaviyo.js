@@ -0,0 +1,179 @@
+// Shared Klaviyo API client used by every handler.
+//
+// Handles auth headers, the API revision, request timeouts, bounded retries
+// for rate limiting (429 + Retry-After) and transient 5xx/network failures,
+// and JSON:API cursor pagination. Failures are thrown as KlaviyoError
+// subclasses carrying the HTTP status and Klaviyo's error code. Requests use
+// the API key of the current tenant (lib/tenants.js).
+
+import { requireTenant } from './tenants.js';
+
+const DEFAULT_API_BASE = 'https://a.klaviyo.com/api';
+const DEFAULT_API_REVISION = '2025-01-15';
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_RETRIES = 3;
+const BASE_BACKOFF_MS = 250;
+const MAX_BACKOFF_MS = 10000;
+
+export class KlaviyoError extends Error {
+  constructor(message, { status, code, errors = [], endpoint } = {}) {
+    super(message);
+    this.name = 'KlaviyoError';
+    this.status = status;
+    this.code = code;
+    this.errors = errors;
+    this.endpoint = endpoint;
+  }
+}
+
+export class KlaviyoRateLimitError extends KlaviyoError {
+  constructor(message, { retryAfter, ...details } = {}) {
+    super(message, details);
+    this.name = 'KlaviyoRateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+export class KlaviyoTimeoutError extends KlaviyoError {
+  constructor(message, details = {}) {
+    super(message, { code: 'timeout', ...details });
+    this.name = 'KlaviyoTimeoutError';
+  }
+}
+
+export class KlaviyoNetworkError extends KlaviyoError {
+  constructor(message, details = {}) {
+    super(message, { code: 'network_error', ...details });
+    this.name = 'KlaviyoNetworkError';
+  }
+}
+
+export function getKlaviyoConfig() {
+  return {
+    apiKey: requireTenant().klaviyoPrivateApiKey,
+    baseUrl: (process.env.KLAVIYO_API_BASE_URL || DEFAULT_API_BASE).replace(/\/+$/, ''),
+    revision: process.env.KLAVIYO_API_REVISION || DEFAULT_API_REVISION,
+    timeoutMs: Number(process.env.KLAVIYO_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+    maxRetries: process.env.KLAVIYO_MAX_RETRIES !== undefined
+      ? Number(process.env.KLAVIYO_MAX_RETRIES)
+      : DEFAULT_MAX_RETRIES,
+  };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After is either a number of seconds or an HTTP date.
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffDelay(attempt) {
+  const exp = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  return Math.round(exp / 2 + Math.random() * (exp / 2));
+}
+
+async function readBody(response) {
+  const contentType = response.headers.get('content-type') || '';
+  if (!contentType.includes('application/')) return null;
+  try {
+    return await response.json();
+  } catch {
+    return null;
+  }
+}
+
+function buildError(response, body, endpoint) {
+  const errors = body?.errors || [];
+  const first = errors[0] || {};
+  const details = { status: response.status, code: first.code, errors, endpoint };
+  const message = first.detail || `Klaviyo error ${response.status}`;
+
+  if (response.status === 429) {
+    return new KlaviyoRateLimitError(message, {
+      ...details,
+      retryAfter: parseRetryAfter(response.headers.get('retry-after')),
+    });
+  }
+  return new KlaviyoError(message, details);
+}
+
+function isRetryable(error) {
+  if (error instanceof KlaviyoRateLimitError) return true;
+  if (error instanceof KlaviyoTimeoutError || error instanceof KlaviyoNetworkError) return true;
+  return error instanceof KlaviyoError && error.status >= 500;
+}
+
+async function sendOnce(url, options, config, endpoint) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), config.timeoutMs);
+
+  let response;
+  try {
+    response = await fetch(url, {
+      ...options,
+      signal: controller.signal,
+      headers: {
+        Authorization: `Klaviyo-API-Key ${config.apiKey}`,
+        'Content-Type': 'application/vnd.api+json',
+        Accept: 'application/vnd.api+json',
+        revision: config.revision,
+        ...options.headers,
+      },
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      throw new KlaviyoTimeoutError(`Klaviyo request timed out after ${config.timeoutMs}ms`, { endpoint });
+    }
+    throw new KlaviyoNetworkError(`Klaviyo request failed: ${err.message}`, { endpoint });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (response.status === 202 || response.status === 204) return null;
+
+  const body = await readBody(response);
+  if (!response.ok) throw buildError(response, body, endpoint);
+  return body;
+}
+
+// `endpoint` is a path relative to the API base (e.g. `/profiles/`) or an
+// absolute URL such as a `links.next` cursor returned by Klaviyo.
+export async function klaviyoRequest(endpoint, { config: overrides, ...fetchOptions } = {}) {
+  const config = { ...getKlaviyoConfig(), ...overrides };
+  const url = /^https?:\/\//.test(endpoint) ? endpoint : `${config.baseUrl}${endpoint}`;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await sendOnce(url, fetchOptions, config, endpoint);
+    } catch (err) {
+      if (!isRetryable(err) || attempt >= config.maxRetries) throw err;
+      const delay = err instanceof KlaviyoRateLimitError && err.retryAfter != null
+        ? err.retryAfter
+        : backoffDelay(attempt);
+      // Waiting longer than this would outlive a serverless invocation;
+      // surface the rate limit to the caller instead.
+      if (delay > MAX_BACKOFF_MS) throw err;
+      await sleep(delay);
+    }
+  }
+}
+
+// Follows `links.next` cursors and yields every resource in `data`.
+export async function* klaviyoPaginate(endpoint, options = {}) {
+  let next = endpoint;
+  while (next) {
+    const page = await klaviyoRequest(next, options);
+    for (const item of page?.data || []) yield item;
+    next = page?.links?.next || null;
+  }
+}
+
+export async function klaviyoRequestAll(endpoint, options = {}) {
+  const items = [];
+  for await (const item of klaviyoPaginate(endpoint, options)) items.push(item);
+  return items;
+}
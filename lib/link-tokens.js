@@ -0,0 +1,170 @@
+import crypto from 'node:crypto';
+import { ApiError } from './errors.js';
+import { getStore, isSharedStore } from './store.js';
+import { getCurrentTenantId, isMultiTenant, tenantKey } from './tenants.js';
+
+// Signed links for emails, so customers who aren't logged in to Shopify can
+// unsubscribe or change preferences.
+//
+// A token is `<kid>.<payload>.<signature>`: base64url JSON naming the
+// customer, the actions it allows, when it expires and, with several stores,
+// the tenant it was issued for, signed with HMAC-SHA256. LINK_SIGNING_KEYS holds `kid:secret` pairs separated by
+// commas. The first key signs new tokens and every listed key is accepted,
+// so keys can be rotated by adding a new one in front and removing the old
+// one once its tokens have expired.
+//
+// Revocations live in the store, so links are refused altogether without a
+// shared one: a revoked link must not work again on another instance.
+
+export const LINK_ACTIONS = {
+  UNSUBSCRIBE: 'unsubscribe',
+  PREFERENCES: 'preferences',
+};
+
+const DEFAULT_TTL_DAYS = 60;
+const MAX_TTL_DAYS = 365;
+const DAY_SECONDS = 24 * 60 * 60;
+
+export class LinkTokenError extends ApiError {
+  constructor(code, message, status = 401) {
+    super(code, message, status);
+    this.name = 'LinkTokenError';
+  }
+}
+
+function getSigningKeys() {
+  return (process.env.LINK_SIGNING_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return { kid: entry.slice(0, separator), secret: entry.slice(separator + 1) };
+    })
+    .filter(({ kid, secret }) => kid && secret);
+}
+
+export function getLinkTokenTtlSeconds() {
+  const days = Number(process.env.LINK_TOKEN_TTL_DAYS) || DEFAULT_TTL_DAYS;
+  return Math.min(days, MAX_TTL_DAYS) * DAY_SECONDS;
+}
+
+function sign(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function requireSharedStore() {
+  if (!isSharedStore()) {
+    throw new LinkTokenError('LINK_TOKENS_DISABLED', 'Email links need a shared store for revocations', 403);
+  }
+}
+
+function requireKeys() {
+  const keys = getSigningKeys();
+  if (!keys.length) {
+    throw new LinkTokenError('LINK_TOKENS_DISABLED', 'Email links are not configured', 403);
+  }
+  requireSharedStore();
+  return keys;
+}
+
+export function createLinkToken({ email, shopifyId, actions = Object.values(LINK_ACTIONS), ttlSeconds }) {
+  const [{ kid, secret }] = requireKeys();
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    email,
+    ...(shopifyId && { shopifyId }),
+    ...(isMultiTenant() && { tenant: getCurrentTenantId() }),
+    actions,
+    iat: now,
+    exp: now + Math.min(ttlSeconds || getLinkTokenTtlSeconds(), MAX_TTL_DAYS * DAY_SECONDS),
+    jti: crypto.randomUUID(),
+  };
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return { token: `${kid}.${encoded}.${sign(secret, `${kid}.${encoded}`)}`, payload };
+}
+
+// Checks the signature and expiry only; see authenticateLinkToken for the
+// revocation and action checks.
+export function decodeLinkToken(token) {
+  const keys = requireKeys();
+  const [kid, encoded, signature, ...rest] = String(token || '').split('.');
+  const key = keys.find(k => k.kid === kid);
+  if (!key || !encoded || !signature || rest.length) {
+    throw new LinkTokenError('LINK_TOKEN_INVALID', 'This link is not valid');
+  }
+
+  const a = Buffer.from(signature);
+  const b = Buffer.from(sign(key.secret, `${kid}.${encoded}`));
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    throw new LinkTokenError('LINK_TOKEN_INVALID', 'This link is not valid');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch {
+    throw new LinkTokenError('LINK_TOKEN_INVALID', 'This link is not valid');
+  }
+  if (!payload.exp || payload.exp * 1000 <= Date.now()) {
+    throw new LinkTokenError('LINK_TOKEN_EXPIRED', 'This link has expired');
+  }
+  return payload;
+}
+
+function revokedKey(jti) {
+  return `link-token-revoked:${jti}`;
+}
+
+function revokedBeforeKey(email) {
+  return tenantKey(`link-tokens-revoked-before:${email.toLowerCase()}`);
+}
+
+// Returns the identity a link token acts for, in the same shape as
+// resolveCustomerIdentity(), if it allows `action` and hasn't been revoked.
+export async function authenticateLinkToken(token, action) {
+  const payload = decodeLinkToken(token);
+  const store = getStore();
+
+  if (isMultiTenant() && payload.tenant !== getCurrentTenantId()) {
+    throw new LinkTokenError('LINK_TOKEN_INVALID', 'This link is not valid');
+  }
+
+  const revokedBefore = await store.get(revokedBeforeKey(payload.email));
+  if ((await store.get(revokedKey(payload.jti))) || (revokedBefore && payload.iat <= revokedBefore)) {
+    throw new LinkTokenError('LINK_TOKEN_REVOKED', 'This link is no longer valid');
+  }
+  if (!payload.actions?.includes(action)) {
+    throw new LinkTokenError('LINK_TOKEN_ACTION_NOT_ALLOWED', 'This link cannot be used for that', 403);
+  }
+
+  return {
+    email: payload.email,
+    shopifyId: payload.shopifyId,
+    proxied: false,
+    linkTokenId: payload.jti,
+    linkActions: payload.actions,
+  };
+}
+
+// Revokes one token until it would have expired anyway
+export async function revokeLinkToken(token) {
+  const payload = decodeLinkToken(token);
+  const ttl = Math.max(1, payload.exp - Math.floor(Date.now() / 1000));
+  await getStore().set(revokedKey(payload.jti), true, ttl);
+  return payload;
+}
+
+// Revokes every token issued so far for `email`
+export async function revokeLinkTokensForEmail(email) {
+  requireSharedStore();
+  const now = Math.floor(Date.now() / 1000);
+  await getStore().set(revokedBeforeKey(email), now, MAX_TTL_DAYS * DAY_SECONDS);
+  return now;
+}
+
+export function maskEmail(email) {
+  const [local, domain] = String(email).split('@');
+  if (!domain) return '***';
+  return `${local.slice(0, 1)}***@${domain}`;
+}
@@ -0,0 +1,67 @@
+import { klaviyoRequest, klaviyoRequestAll } from './klaviyo.js';
+import { getStore } from './store.js';
+import { requireTenant } from './tenants.js';
+
+const OPT_IN_CACHE_TTL_SECONDS = 60 * 60;
+
+// Lists customers of the current store may see and manage. The newsletter
+// list is always first; more are added with KLAVIYO_MANAGED_LISTS as JSON
+// (or `managedLists` in config/tenants.js), e.g.
+// [{ "id": "AbC123", "name": "VIP", "description": "Early access to drops" }]
+export function getManagedLists() {
+  const { newsletterListId, managedLists } = requireTenant();
+  const lists = [];
+  if (newsletterListId) {
+    lists.push({ id: newsletterListId, name: 'Newsletter', isDefault: true });
+  }
+
+  for (const list of managedLists) {
+    if (!list?.id || lists.some(l => l.id === list.id)) continue;
+    lists.push({ id: list.id, name: list.name || list.id, description: list.description, isDefault: false });
+  }
+  return lists;
+}
+
+export function findManagedList(listId) {
+  return getManagedLists().find(list => list.id === listId) || null;
+}
+
+export function getDefaultList() {
+  return getManagedLists().find(list => list.isDefault) || null;
+}
+
+export async function getProfileListIds(profileId) {
+  const lists = await klaviyoRequestAll(`/profiles/${profileId}/lists/?fields[list]=name`);
+  return new Set(lists.map(list => list.id));
+}
+
+// Whether subscribing to the list sends a confirmation email first
+export async function isDoubleOptInList(listId) {
+  if (!listId) return false;
+  const cacheKey = `list-opt-in:${listId}`;
+  const cached = await getStore().get(cacheKey);
+  if (cached) return cached === 'double_opt_in';
+
+  const data = await klaviyoRequest(`/lists/${listId}/?fields[list]=opt_in_process`);
+  const optInProcess = data?.data?.attributes?.opt_in_process || 'single_opt_in';
+  await getStore().set(cacheKey, optInProcess, OPT_IN_CACHE_TTL_SECONDS);
+  return optInProcess === 'double_opt_in';
+}
+
+function profileRelationship(profileId) {
+  return JSON.stringify({ data: [{ type: 'profile', id: profileId }] });
+}
+
+export async function addProfileToList(listId, profileId) {
+  return await klaviyoRequest(`/lists/${listId}/relationships/profiles/`, {
+    method: 'POST',
+    body: profileRelationship(profileId),
+  });
+}
+
+export async function removeProfileFromList(listId, profileId) {
+  return await klaviyoRequest(`/lists/${listId}/relationships/profiles/`, {
+    method: 'DELETE',
+    body: profileRelationship(profileId),
+  });
+}
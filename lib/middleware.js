@@ -0,0 +1,176 @@
+import corsConfig from '../config/cors.js';
+import { ApiError, sendError, parseJsonBody, methodNotAllowed } from './errors.js';
+import { getRequestId, parseFormBody } from './request.js';
+import { getTenants, isMultiTenant, findTenant, requireTenantForShop, runWithTenant } from './tenants.js';
+import { decodeLinkToken, LinkTokenError } from './link-tokens.js';
+import { verifyProxySignature, ProxyAuthError } from './shopify-proxy.js';
+
+// Request handling shared by every route:
+//
+//   export default withApi(handler, { methods: ['GET', 'POST'], cors: true, body: 'json' });
+//
+// It sets X-Request-Id, enforces the origin allowlist and answers preflights
+// on `cors` routes, rejects methods the route doesn't list, limits the body
+// size, parses the body into `req.body`, runs the handler as the request's
+// tenant (see resolveTenant) and passes anything the handler throws to
+// `onError` (the error envelope by default).
+
+const DEFAULT_MAX_BODY_BYTES = 16 * 1024;
+const PREFLIGHT_MAX_AGE_SECONDS = 600;
+
+function escapeRegExp(value) {
+  return value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compileOriginPattern(pattern) {
+  if (pattern === '*') return /^.*$/;
+  const parts = pattern.toLowerCase().replace(/\/+$/, '').split('*');
+  const source = parts
+    .map(escapeRegExp)
+    .reduce((acc, part, index) => `${acc}${parts[index - 1].endsWith(':') ? '\\d+' : '[a-z0-9-]+'}${part}`);
+  return new RegExp(`^${source}$`);
+}
+
+export function getAllowedOrigins() {
+  const environment = process.env.VERCEL_ENV || 'production';
+  const configured = (process.env.CORS_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+  const tenantOrigins = getTenants().flatMap(tenant => tenant.allowedOrigins);
+  return [...(corsConfig[environment] || []), ...configured, ...tenantOrigins];
+}
+
+function originMatches(patterns, origin) {
+  const normalized = String(origin).toLowerCase();
+  return patterns.some(pattern => compileOriginPattern(pattern).test(normalized));
+}
+
+// Same-origin requests (e.g. the deployment's own pages) are always allowed
+export function isOriginAllowed(origin, req) {
+  if (!origin) return false;
+  const normalized = String(origin).toLowerCase();
+  if (req?.headers?.host && normalized === `https://${req.headers.host}`.toLowerCase()) return true;
+  return originMatches(getAllowedOrigins(), normalized);
+}
+
+// Which store a request is for, when config/tenants.js lists several. Only
+// sources that can be trusted for the route are used:
+//
+//   'request' — a link token's signed tenant, the App Proxy's signed `shop`
+//               parameter, or the browser Origin matched to a tenant's
+//               allowedOrigins
+//   'webhook' — X-Shopify-Shop-Domain, which the webhook HMAC then verifies
+//               with that tenant's secret
+//   'admin'   — `?shop=` or X-Shopify-Shop-Domain from a caller holding the
+//               admin token
+function resolveTenant(req, source) {
+  if (!isMultiTenant()) return getTenants()[0];
+
+  const shopHeader = req.headers?.['x-shopify-shop-domain'];
+  if (source === 'webhook') return requireTenantForShop(shopHeader);
+  if (source === 'admin') return requireTenantForShop(req.query?.shop || shopHeader);
+
+  const token = req.query?.token || req.body?.token;
+  if (token) {
+    const tenant = findTenant(decodeLinkToken(token).tenant);
+    if (!tenant) throw new LinkTokenError('LINK_TOKEN_INVALID', 'This link is not valid');
+    return tenant;
+  }
+
+  const query = req.query || {};
+  if (query.shop && query.signature) {
+    const tenant = requireTenantForShop(query.shop);
+    if (!tenant.appProxySecret || !verifyProxySignature(query, tenant.appProxySecret)) {
+      throw new ProxyAuthError('PROXY_SIGNATURE_INVALID', 'Invalid App Proxy signature');
+    }
+    return tenant;
+  }
+
+  const origin = req.headers?.origin;
+  const tenant = origin && getTenants().find(t => originMatches(t.allowedOrigins, origin));
+  if (tenant) return tenant;
+  throw new ApiError('SHOP_REQUIRED', 'Could not tell which store this request is for');
+}
+
+// Returns true when the request was a preflight and has been answered.
+// Requests from other origins are refused outright rather than only hidden
+// from the browser, since a simple POST would still run.
+function applyCors(req, res, { methods, allowedHeaders, exposedHeaders }) {
+  res.setHeader('Vary', 'Origin');
+
+  const origin = req.headers?.origin;
+  if (origin) {
+    if (!isOriginAllowed(origin, req)) {
+      throw new ApiError('ORIGIN_NOT_ALLOWED', 'Requests from this origin are not allowed', 403);
+    }
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    if (exposedHeaders.length) res.setHeader('Access-Control-Expose-Headers', exposedHeaders.join(', '));
+  }
+
+  if (req.method !== 'OPTIONS') return false;
+  res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+  res.setHeader('Access-Control-Allow-Headers', allowedHeaders.join(', '));
+  res.setHeader('Access-Control-Max-Age', String(PREFLIGHT_MAX_AGE_SECONDS));
+  res.status(204).end();
+  return true;
+}
+
+function bodySize(body) {
+  if (typeof body === 'string' || Buffer.isBuffer(body)) return Buffer.byteLength(body);
+  if (body && typeof body === 'object') return Buffer.byteLength(JSON.stringify(body));
+  return 0;
+}
+
+// Vercel has usually parsed the body already, so the declared length is
+// checked as well as what arrived
+function checkBodySize(req, maxBytes) {
+  const declared = Number(req.headers?.['content-length']) || 0;
+  if (Math.max(declared, bodySize(req.body)) > maxBytes) {
+    throw new ApiError('PAYLOAD_TOO_LARGE', 'Request body is too large', 413);
+  }
+}
+
+const BODY_PARSERS = { json: parseJsonBody, form: parseFormBody };
+
+export function withApi(handler, {
+  methods = ['GET'],
+  cors = false,
+  allowedHeaders = ['Content-Type'],
+  exposedHeaders = [],
+  body,
+  maxBodyBytes = DEFAULT_MAX_BODY_BYTES,
+  contentType = 'application/json',
+  cacheControl,
+  tenant: tenantSource = 'request',
+  label = 'API error',
+  onError = (req, res, error) => sendError(req, res, error, label),
+} = {}) {
+  return async function apiHandler(req, res) {
+    res.setHeader('X-Request-Id', getRequestId(req));
+    res.setHeader('Content-Type', contentType);
+    if (cacheControl) res.setHeader('Cache-Control', cacheControl);
+
+    let tenant = null;
+    try {
+      if (cors && applyCors(req, res, { methods, allowedHeaders, exposedHeaders })) return;
+
+      if (!methods.includes(req.method)) {
+        res.setHeader('Allow', [...methods, ...(cors ? ['OPTIONS'] : [])].join(', '));
+        throw methodNotAllowed();
+      }
+
+      checkBodySize(req, maxBodyBytes);
+      if (body && req.method !== 'GET' && req.method !== 'HEAD') {
+        req.body = BODY_PARSERS[body](req);
+      }
+
+      // `tenant: false` routes (e.g. /api/health) handle every tenant themselves
+      if (tenantSource === false) return await handler(req, res);
+      tenant = resolveTenant(req, tenantSource);
+      return await runWithTenant(tenant, () => handler(req, res));
+    } catch (error) {
+      return tenant ? runWithTenant(tenant, () => onError(req, res, error)) : onError(req, res, error);
+    }
+  };
+}
@@ -0,0 +1,72 @@
+import { klaviyoRequestAll } from './klaviyo.js';
+import { requireTenant } from './tenants.js';
+import { ApiError } from './errors.js';
+
+// Pausing marketing email for a while, for customers who want fewer emails
+// rather than none. A pause leaves consent alone and sets two profile
+// properties:
+//
+//   email_paused        — true while paused
+//   email_paused_until  — when emails resume (ISO 8601)
+//
+// Campaigns and flows exclude a segment of "email_paused is true". The
+// /api/cron/resume-paused job reads that segment (the store's pausedSegmentId,
+// or KLAVIYO_PAUSED_SEGMENT_ID) and sets email_paused back to false once the
+// date has passed; until it runs, readPause() already reports the pause as
+// over. Klaviyo can't filter profiles by custom property, hence the segment.
+
+export const PAUSE_DAYS = [30, 60, 90];
+export const PAUSED_PROPERTY = 'email_paused';
+export const PAUSED_UNTIL_PROPERTY = 'email_paused_until';
+export const PAUSE_EXPIRY_SOURCE = 'Pause Expiry';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function parsePauseDays(value) {
+  const days = Number(value);
+  if (!PAUSE_DAYS.includes(days)) {
+    throw new ApiError('INVALID_PAUSE', `pauseDays must be one of: ${PAUSE_DAYS.join(', ')}`);
+  }
+  return days;
+}
+
+export function pauseProperties(days, now = Date.now()) {
+  return {
+    [PAUSED_PROPERTY]: true,
+    [PAUSED_UNTIL_PROPERTY]: new Date(now + days * DAY_MS).toISOString(),
+  };
+}
+
+// The date is kept, as a record of the last pause
+export function resumeProperties() {
+  return { [PAUSED_PROPERTY]: false };
+}
+
+// `{ isPaused, pausedUntil }` from a profile's properties
+export function readPause(properties = {}, now = Date.now()) {
+  const until = properties[PAUSED_UNTIL_PROPERTY];
+  const isPaused = properties[PAUSED_PROPERTY] === true && Date.parse(until) > now;
+  return { isPaused, pausedUntil: isPaused ? until : null };
+}
+
+export function isPauseExpiryConfigured(tenant = requireTenant()) {
+  return !!tenant.pausedSegmentId;
+}
+
+// Members of the paused segment still marked as paused whose pause has run
+// out. Segments update in the background, so the property is checked rather
+// than membership. Read in full before any is resumed, so resuming doesn't
+// shift the pages.
+export async function findExpiredPauses(now = Date.now()) {
+  const { pausedSegmentId } = requireTenant();
+  if (!pausedSegmentId) {
+    throw new ApiError('PAUSED_SEGMENT_REQUIRED', 'No Klaviyo segment of paused profiles is configured', 503);
+  }
+
+  const segment = encodeURIComponent(pausedSegmentId);
+  const profiles = await klaviyoRequestAll(`/segments/${segment}/profiles/?page[size]=100`);
+  return profiles.filter(profile => {
+    const properties = profile.attributes?.properties || {};
+    return properties[PAUSED_PROPERTY] === true && !readPause(properties, now).isPaused;
+  });
+}
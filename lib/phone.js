@@ -0,0 +1,29 @@
+// Phone number normalization to E.164 (+<country code><number>), as Klaviyo
+// requires for SMS consent.
+//
+// Numbers without an international prefix are assumed to belong to
+// SMS_DEFAULT_COUNTRY_CODE (e.g. `1` or `44`); a national trunk `0` is dropped.
+
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+export function normalizePhoneNumber(input, defaultCountryCode = process.env.SMS_DEFAULT_COUNTRY_CODE) {
+  if (input == null) return null;
+  const raw = String(input).trim();
+  if (!raw) return null;
+
+  // Allow common separators only; letters or other symbols are rejected
+  if (!/^[+\d\s().-]+$/.test(raw)) return null;
+
+  let digits = raw.replace(/[^\d+]/g, '');
+  if (digits.lastIndexOf('+') > 0) return null;
+
+  if (digits.startsWith('00')) {
+    digits = `+${digits.slice(2)}`;
+  } else if (!digits.startsWith('+')) {
+    const countryCode = String(defaultCountryCode || '').replace(/\D/g, '');
+    if (!countryCode) return null;
+    digits = `+${countryCode}${digits.replace(/^0+/, '')}`;
+  }
+
+  return E164_PATTERN.test(digits) ? digits : null;
+}
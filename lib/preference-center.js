@@ -0,0 +1,269 @@
+import defaultTheme from '../config/preference-center.js';
+import { translateSection } from './i18n.js';
+import { MAX_REASON_TEXT_LENGTH } from './unsubscribe-reasons.js';
+
+// HTML for the hosted preference center. Everything works with plain form
+// posts so the page needs no JavaScript; every form posts back to the URL
+// the page was loaded from, which keeps the link token or App Proxy
+// signature in the query string.
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function mergeTheme(base, overrides) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeTheme(base[key], value) : value;
+  }
+  return merged;
+}
+
+// config/preference-center.js with PREFERENCE_CENTER_THEME merged over it
+export function getPreferenceCenterTheme() {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.PREFERENCE_CENTER_THEME || '{}');
+  } catch {
+    console.error('PREFERENCE_CENTER_THEME is not valid JSON; ignoring it');
+  }
+  return mergeTheme(defaultTheme, isPlainObject(overrides) ? overrides : {});
+}
+
+// Page copy in `locale`, with the theme's overrides for that locale applied
+export function getPreferenceCenterText(theme, locale) {
+  return { ...translateSection(locale, 'preferenceCenter'), ...theme.text?.[locale] };
+}
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Theme values end up inside <style>, so drop anything that could close the
+// declaration or the element
+function cssValue(value) {
+  return String(value ?? '').replace(/[<>{};\\]/g, '');
+}
+
+function safeUrl(value) {
+  const url = String(value || '');
+  return /^(https?:\/\/|\/(?!\/))/i.test(url) ? url : '';
+}
+
+// Fills `{name}` placeholders in a theme string, escaping both
+function interpolate(template, values = {}) {
+  return escapeHtml(template).replace(/\{(\w+)\}/g, (match, key) => (key in values ? escapeHtml(values[key]) : match));
+}
+
+function styles({ colors, fontFamily, borderRadius }) {
+  return `
+:root {
+  --pc-primary: ${cssValue(colors.primary)};
+  --pc-primary-text: ${cssValue(colors.primaryText)};
+  --pc-background: ${cssValue(colors.background)};
+  --pc-surface: ${cssValue(colors.surface)};
+  --pc-text: ${cssValue(colors.text)};
+  --pc-muted: ${cssValue(colors.muted)};
+  --pc-border: ${cssValue(colors.border)};
+  --pc-success: ${cssValue(colors.success)};
+  --pc-error: ${cssValue(colors.error)};
+  --pc-radius: ${cssValue(borderRadius)};
+  --pc-font: ${cssValue(fontFamily)};
+}
+* { box-sizing: border-box; }
+body { margin: 0; background: var(--pc-background); color: var(--pc-text); font-family: var(--pc-font); line-height: 1.5; }
+.pc { max-width: 36rem; margin: 2rem auto; padding: 0 1rem; }
+.pc-header { text-align: center; margin-bottom: 1.5rem; }
+.pc-logo { max-height: 3rem; max-width: 12rem; }
+.pc-brand { margin: 0; font-weight: 600; }
+.pc-header h1 { margin: 0.5rem 0; font-size: 1.75rem; }
+.pc-intro, .pc-footer { color: var(--pc-muted); }
+.pc-section { background: var(--pc-surface); border: 1px solid var(--pc-border); border-radius: var(--pc-radius); padding: 1.25rem 1.5rem; margin-bottom: 1rem; }
+.pc-section h2 { margin: 0 0 0.75rem; font-size: 1.25rem; }
+.pc-notice { border-left: 4px solid; border-radius: var(--pc-radius); background: var(--pc-surface); padding: 0.75rem 1rem; margin-bottom: 1rem; }
+.pc-notice--success { border-color: var(--pc-success); color: var(--pc-success); }
+.pc-notice--error { border-color: var(--pc-error); color: var(--pc-error); }
+.pc-notice p { margin: 0; }
+.pc-reference { font-size: 0.875rem; color: var(--pc-muted); }
+.pc-fieldset { border: 0; padding: 0; margin: 0 0 1rem; }
+.pc-fieldset legend { font-weight: 600; margin-bottom: 0.25rem; }
+.pc-option { display: flex; align-items: center; gap: 0.5rem; padding: 0.25rem 0; }
+.pc-option input { width: 1.125rem; height: 1.125rem; accent-color: var(--pc-primary); }
+.pc-field { display: block; margin-bottom: 1rem; }
+.pc-field input, .pc-field select, .pc-field textarea { display: block; width: 100%; margin-top: 0.25rem; padding: 0.5rem; font: inherit; border: 1px solid var(--pc-border); border-radius: var(--pc-radius); }
+.pc-button { font: inherit; font-weight: 600; padding: 0.625rem 1.25rem; border-radius: var(--pc-radius); border: 2px solid var(--pc-primary); background: var(--pc-primary); color: var(--pc-primary-text); cursor: pointer; }
+.pc-button--secondary { background: transparent; color: var(--pc-primary); }
+.pc-actions { display: flex; flex-wrap: wrap; gap: 0.5rem; margin-bottom: 1rem; }
+.pc-subheading { font-weight: 600; margin: 1.25rem 0 0.5rem; }
+.pc-footer { text-align: center; }
+.pc-footer a { color: inherit; }
+:focus-visible { outline: 3px solid var(--pc-primary); outline-offset: 2px; }
+`;
+}
+
+function renderNotice(notice, text) {
+  if (!notice) return '';
+  const isError = notice.type === 'error';
+  return `<div class="pc-notice pc-notice--${isError ? 'error' : 'success'}" role="${isError ? 'alert' : 'status'}">
+    <p>${escapeHtml(notice.message)}</p>
+    ${isError && notice.requestId ? `<p class="pc-reference">${interpolate(text.errorReference, { requestId: notice.requestId })}</p>` : ''}
+  </div>`;
+}
+
+function renderEmailField(idSuffix, text) {
+  return `<label class="pc-field" for="pc-email-${idSuffix}">${escapeHtml(text.emailLabel)}
+      <input id="pc-email-${idSuffix}" type="email" name="email" autocomplete="email" required>
+    </label>`;
+}
+
+const STATUS_TEXT = {
+  subscribed: 'statusSubscribed',
+  pending: 'statusPending',
+  unsubscribed: 'statusUnsubscribed',
+  never_subscribed: 'statusNeverSubscribed',
+  suppressed: 'statusSuppressed',
+};
+
+function formatDate(value, locale) {
+  return new Intl.DateTimeFormat(locale, { dateStyle: 'long' }).format(new Date(value));
+}
+
+// Offered before unsubscribing: a pause of each length, then the
+// unsubscribe form with an optional reason
+function renderUnsubscribeForms({ pauseDays, reasons }, text) {
+  const pauseButtons = pauseDays.map(days => `<button type="submit" name="pauseDays" value="${days}" class="pc-button pc-button--secondary">
+          ${interpolate(text.pauseButton, { days })}
+        </button>`);
+  const reasonOptions = reasons.map(({ key, label }) => `<option value="${escapeHtml(key)}">${escapeHtml(label)}</option>`);
+
+  return `<p class="pc-subheading">${escapeHtml(text.pauseHeading)}</p>
+    <form method="post">
+      <input type="hidden" name="action" value="pause">
+      <div class="pc-actions">
+        ${pauseButtons.join('\n        ')}
+      </div>
+    </form>
+    <p class="pc-subheading">${escapeHtml(text.unsubscribeHeading)}</p>
+    <form method="post">
+      <input type="hidden" name="action" value="unsubscribe">
+      <label class="pc-field" for="pc-reason">${escapeHtml(text.reasonLabel)}
+        <select id="pc-reason" name="reason">
+          <option value="">${escapeHtml(text.reasonPlaceholder)}</option>
+          ${reasonOptions.join('\n          ')}
+        </select>
+      </label>
+      <label class="pc-field" for="pc-reason-text">${escapeHtml(text.reasonTextLabel)}
+        <textarea id="pc-reason-text" name="reasonText" rows="3" maxlength="${MAX_REASON_TEXT_LENGTH}"></textarea>
+      </label>
+      <button type="submit" class="pc-button pc-button--secondary">${escapeHtml(text.unsubscribeButton)}</button>
+    </form>`;
+}
+
+function renderSubscription({ status, canUnsubscribe, askEmail, pausedUntil }, text, { locale, unsubscribeOptions }) {
+  let form = '';
+  if (status === 'subscribed' && pausedUntil) {
+    form = `<form method="post">
+      <input type="hidden" name="action" value="resume">
+      <button type="submit" class="pc-button">${escapeHtml(text.resumeButton)}</button>
+    </form>`;
+  } else if (status === 'subscribed' && canUnsubscribe) {
+    form = renderUnsubscribeForms(unsubscribeOptions, text);
+  } else if (status === 'unsubscribed' || status === 'never_subscribed') {
+    form = `<form method="post">
+      <input type="hidden" name="action" value="subscribe">
+      ${askEmail ? renderEmailField('subscribe', text) : ''}
+      <button type="submit" class="pc-button">${escapeHtml(text.subscribeButton)}</button>
+    </form>`;
+  }
+
+  return `<section class="pc-section" aria-labelledby="pc-subscription-heading">
+    <h2 id="pc-subscription-heading">${escapeHtml(text.subscriptionHeading)}</h2>
+    <p>${escapeHtml(text[STATUS_TEXT[status]])}</p>
+    ${status === 'subscribed' && pausedUntil ? `<p>${interpolate(text.statusPaused, { date: formatDate(pausedUntil, locale) })}</p>` : ''}
+    ${form}
+  </section>`;
+}
+
+// `single` dimensions are radios with a "No preference" choice; `multi`
+// dimensions are checkboxes. Fields are named `pref_<key>`.
+function renderDimension(dimension, value, text) {
+  const name = `pref_${dimension.key}`;
+  const isMulti = dimension.type === 'multi';
+  const options = isMulti ? dimension.options : [{ value: '', label: text.noPreference }, ...dimension.options];
+
+  const inputs = options.map((option, index) => {
+    const id = `pc-${dimension.key}-${index}`;
+    const checked = isMulti ? (value || []).includes(option.value) : (value ?? '') === option.value;
+    return `<label class="pc-option" for="${escapeHtml(id)}">
+        <input id="${escapeHtml(id)}" type="${isMulti ? 'checkbox' : 'radio'}" name="${escapeHtml(name)}" value="${escapeHtml(option.value)}"${checked ? ' checked' : ''}>
+        ${escapeHtml(option.label)}
+      </label>`;
+  });
+
+  return `<fieldset class="pc-fieldset">
+      <legend>${escapeHtml(dimension.label)}</legend>
+      ${inputs.join('\n      ')}
+    </fieldset>`;
+}
+
+function renderPreferences({ schema, preferences, askEmail }, text) {
+  return `<section class="pc-section" aria-labelledby="pc-preferences-heading">
+    <h2 id="pc-preferences-heading">${escapeHtml(text.preferencesHeading)}</h2>
+    <form method="post">
+      <input type="hidden" name="action" value="preferences">
+      ${askEmail ? renderEmailField('preferences', text) : ''}
+      ${schema.dimensions.map(dimension => renderDimension(dimension, preferences[dimension.key], text)).join('\n    ')}
+      <button type="submit" class="pc-button">${escapeHtml(text.saveButton)}</button>
+    </form>
+  </section>`;
+}
+
+// Renders the page in `locale` with copy from getPreferenceCenterText().
+// Without `customer` (the identity couldn't be established) only the notice
+// is shown.
+//
+// `customer` is `{ email, status, pausedUntil, preferences, canUnsubscribe,
+// askEmail }`: `email` as displayed, `status` one of subscribed, pending,
+// unsubscribed, never_subscribed or suppressed, `pausedUntil` while emails
+// are paused, and `askEmail` when there is no profile to take the address
+// from yet. `unsubscribeOptions` is `{ pauseDays, reasons }`.
+export function renderPreferenceCenterPage({ theme, text, locale, schema, unsubscribeOptions, customer, notice }) {
+  const logoUrl = safeUrl(theme.logoUrl);
+  const homeUrl = safeUrl(theme.homeUrl);
+  const stylesheetUrl = safeUrl(theme.stylesheetUrl);
+
+  const brand = logoUrl
+    ? `<img class="pc-logo" src="${escapeHtml(logoUrl)}" alt="${escapeHtml(theme.brandName)}">`
+    : theme.brandName ? `<p class="pc-brand">${escapeHtml(theme.brandName)}</p>` : '';
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex, nofollow">
+  <title>${escapeHtml(text.title)}</title>
+  <style>${styles(theme)}</style>
+  ${stylesheetUrl ? `<link rel="stylesheet" href="${escapeHtml(stylesheetUrl)}">` : ''}
+</head>
+<body>
+  <main class="pc">
+    <header class="pc-header">
+      ${brand}
+      <h1>${escapeHtml(text.title)}</h1>
+      ${customer?.email ? `<p class="pc-intro">${interpolate(text.intro, { email: customer.email })}</p>` : ''}
+    </header>
+    ${renderNotice(notice, text)}
+    ${customer ? renderSubscription(customer, text, { locale, unsubscribeOptions }) : ''}
+    ${customer ? renderPreferences({ schema, ...customer }, text) : ''}
+    ${homeUrl ? `<footer class="pc-footer"><a href="${escapeHtml(homeUrl)}">${escapeHtml(text.homeLink)}</a></footer>` : ''}
+  </main>
+</body>
+</html>
+`;
+}
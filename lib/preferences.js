@@ -0,0 +1,180 @@
+import defaultSchema from '../config/preference-schema.js';
+import { translate, translatePreferenceLabel, DEFAULT_LOCALE } from './i18n.js';
+import { getCurrentTenant } from './tenants.js';
+
+// The `marketing_preference` radio values the account page has always sent,
+// mapped onto the `categories` dimension.
+export const PREFERENCE_MAP = {
+  menswear: ['menswear'],
+  womenswear: ['womenswear'],
+  both: ['menswear', 'womenswear'],
+  no_preference: [],
+};
+
+export const VALID_PREFERENCES = Object.keys(PREFERENCE_MAP);
+
+// The current store's schema (config/tenants.js), else config/preference-schema.js
+export function getPreferenceSchema() {
+  return getCurrentTenant()?.preferenceSchema || defaultSchema;
+}
+
+// Schema as returned to the storefront: what to render, not where it is
+// stored. Labels are translated into `locale`.
+export function publicSchema(schema = getPreferenceSchema(), locale = DEFAULT_LOCALE) {
+  return {
+    dimensions: schema.dimensions.map(({ key, label, type, options }) => ({
+      key,
+      label: translatePreferenceLabel(locale, key, undefined, label),
+      type,
+      options: options.map(({ value, label: optionLabel }) => ({
+        value,
+        label: translatePreferenceLabel(locale, key, value, optionLabel),
+      })),
+    })),
+  };
+}
+
+function klaviyoValueOf(option) {
+  return option.klaviyo ?? option.value;
+}
+
+// Profiles written before list properties were used hold a quoted comma
+// string such as '"Menswear","Womenswear"'.
+function parseStoredList(raw) {
+  if (Array.isArray(raw)) return raw.map(String);
+  if (typeof raw !== 'string' || !raw) return [];
+  const quoted = [...raw.matchAll(/"([^"]*)"/g)].map(match => match[1]);
+  return quoted.length ? quoted : raw.split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function readDimension(dimension, raw) {
+  const byStored = new Map(dimension.options.map(option => [klaviyoValueOf(option), option.value]));
+
+  if (dimension.type === 'multi') {
+    return parseStoredList(raw).map(v => byStored.get(v)).filter(Boolean);
+  }
+  const stored = Array.isArray(raw) ? raw[0] : raw;
+  return byStored.get(stored) ?? null;
+}
+
+// Reads every dimension from Klaviyo profile properties into UI values.
+export function readPreferences(properties = {}, schema = getPreferenceSchema()) {
+  const values = {};
+  for (const dimension of schema.dimensions) {
+    values[dimension.key] = readDimension(dimension, properties[dimension.property]);
+  }
+  return values;
+}
+
+// Reverse-map the `categories` dimension to the legacy radio value
+export function toMarketingPreference(categories = []) {
+  const hasMens = categories.includes('menswear');
+  const hasWomens = categories.includes('womenswear');
+  if (hasMens && hasWomens) return 'both';
+  if (hasMens) return 'menswear';
+  if (hasWomens) return 'womenswear';
+  return 'no_preference';
+}
+
+// Reads the raw Klaviyo `preference` property and returns the UI radio value
+export function parsePreference(raw, schema = getPreferenceSchema()) {
+  const categories = schema.dimensions.find(d => d.key === 'categories');
+  if (!categories) return 'no_preference';
+  return toMarketingPreference(readDimension(categories, raw));
+}
+
+// Validates a `{ [dimensionKey]: value }` update. Unknown keys and values are
+// reported (in `locale`) rather than dropped so the storefront learns about typos.
+export function validatePreferences(input, schema = getPreferenceSchema(), locale = DEFAULT_LOCALE) {
+  const errors = [];
+  const values = {};
+  const t = (key, params) => translate(locale, `validation.${key}`, params);
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { values, errors: [t('preferencesNotObject')] };
+  }
+
+  for (const [key, value] of Object.entries(input)) {
+    const dimension = schema.dimensions.find(d => d.key === key);
+    if (!dimension) {
+      errors.push(t('unknownPreference', { key }));
+      continue;
+    }
+
+    const allowed = dimension.options.map(option => option.value).join(', ');
+    const isAllowed = v => dimension.options.some(option => option.value === v);
+
+    if (dimension.type === 'multi') {
+      const list = value == null ? [] : value;
+      if (!Array.isArray(list)) {
+        errors.push(t('notAList', { key }));
+        continue;
+      }
+      const invalid = list.filter(v => !isAllowed(v));
+      if (invalid.length) {
+        errors.push(t('invalidValues', { key, values: invalid.join(', '), allowed }));
+        continue;
+      }
+      values[key] = [...new Set(list)];
+    } else {
+      if (value != null && !isAllowed(value)) {
+        errors.push(t('invalidValue', { key, allowed }));
+        continue;
+      }
+      values[key] = value ?? null;
+    }
+  }
+
+  return { values, errors };
+}
+
+// Turns validated UI values into the Klaviyo properties to write. Only the
+// dimensions present in `values` are included, so partial updates leave the
+// others untouched.
+export function buildPreferenceProperties(values, schema = getPreferenceSchema()) {
+  const properties = {};
+
+  for (const dimension of schema.dimensions) {
+    if (!(dimension.key in values)) continue;
+    const byValue = new Map(dimension.options.map(option => [option.value, klaviyoValueOf(option)]));
+    const value = values[dimension.key];
+
+    if (dimension.type === 'multi') {
+      properties[dimension.property] = value.length ? value.map(v => byValue.get(v)) : null;
+    } else {
+      properties[dimension.property] = value == null ? null : byValue.get(value);
+    }
+  }
+
+  properties.preference_updated_at = new Date().toISOString();
+  return properties;
+}
+
+// Preferences as the storefront sees them: every dimension plus the legacy
+// `marketing_preference` radio value.
+export function formatPreferences(properties = {}, schema = getPreferenceSchema()) {
+  const preferences = readPreferences(properties, schema);
+  return {
+    marketing_preference: toMarketingPreference(preferences.categories),
+    preferences,
+  };
+}
+
+// Combines the schema-driven `preferences` object with the legacy
+// `marketing_preference` radio value. Without either, the categories are
+// cleared as the account page's "No preference" option always has.
+export function resolvePreferenceUpdate(body, schema = getPreferenceSchema(), locale = DEFAULT_LOCALE) {
+  const { values, errors } = validatePreferences(body.preferences ?? {}, schema, locale);
+  const { marketing_preference } = body;
+
+  if (marketing_preference !== undefined || body.preferences === undefined) {
+    const legacy = marketing_preference || 'no_preference';
+    if (!VALID_PREFERENCES.includes(legacy)) {
+      errors.push(translate(locale, 'validation.invalidMarketingPreference', { allowed: VALID_PREFERENCES.join(', ') }));
+    } else if (!('categories' in values)) {
+      values.categories = PREFERENCE_MAP[legacy];
+    }
+  }
+
+  return { values, errors };
+}
@@ -0,0 +1,170 @@
+import { klaviyoRequest, klaviyoRequestAll } from './klaviyo.js';
+import { getProfileByEmail, getProfileByShopifyId } from './profiles.js';
+import { queryAudit, deleteAudit } from './audit.js';
+import { getStore, isSharedStore } from './store.js';
+import { ApiError } from './errors.js';
+
+// Shopify gives merchants 30 days to answer a data request.
+const PRIVACY_RECORD_TTL_SECONDS = 30 * 24 * 60 * 60;
+// Enough for any one customer's consent audit trail
+const AUDIT_EXPORT_LIMIT = 10000;
+
+// A customer can be linked to more than one Klaviyo profile (e.g. after an
+// email change), so look them up both ways and keep every distinct match.
+export async function findCustomerProfiles({ shopifyId, email }) {
+  const found = await Promise.all([
+    shopifyId ? getProfileByShopifyId(String(shopifyId)) : null,
+    email ? getProfileByEmail(email) : null,
+  ]);
+
+  const byId = new Map();
+  for (const profile of found) {
+    if (profile) byId.set(profile.id, profile);
+  }
+  return [...byId.values()];
+}
+
+async function exportProfile(profile) {
+  const attrs = profile.attributes || {};
+  const properties = attrs.properties || {};
+  const lists = await klaviyoRequestAll(`/profiles/${profile.id}/lists/?fields[list]=name`);
+
+  return {
+    id: profile.id,
+    email: attrs.email,
+    phoneNumber: attrs.phone_number,
+    externalId: attrs.external_id,
+    firstName: attrs.first_name,
+    lastName: attrs.last_name,
+    created: attrs.created,
+    updated: attrs.updated,
+    location: attrs.location,
+    preference: properties.preference ?? null,
+    preferenceUpdatedAt: properties.preference_updated_at ?? null,
+    properties,
+    subscriptions: attrs.subscriptions || {},
+    lists: lists.map(l => ({ id: l.id, name: l.attributes?.name })),
+  };
+}
+
+// Klaviyo profiles plus the customer's consent audit trail, which holds
+// their email, IP address and user agent for each change
+export async function buildCustomerDataExport(customer) {
+  const shopifyId = customer.id ? String(customer.id) : null;
+  const email = customer.email || null;
+  const profiles = await findCustomerProfiles({ shopifyId, email });
+  return {
+    generatedAt: new Date().toISOString(),
+    customer: { shopifyId, email },
+    profiles: await Promise.all(profiles.map(exportProfile)),
+    consentAudit: await queryAudit({ email, shopifyId, limit: AUDIT_EXPORT_LIMIT }),
+  };
+}
+
+// Klaviyo accepts the job with a 202 and processes it asynchronously; it
+// does not expose the job for polling, so "requested" is the final state we
+// can observe.
+async function requestProfileDeletion(profile) {
+  try {
+    await klaviyoRequest('/data-privacy-deletion-jobs/', {
+      method: 'POST',
+      body: JSON.stringify({
+        data: {
+          type: 'data-privacy-deletion-job',
+          attributes: {
+            profile: { data: { type: 'profile', id: profile.id } },
+          },
+        },
+      }),
+    });
+    return { profileId: profile.id, status: 'requested' };
+  } catch (error) {
+    return { profileId: profile.id, status: 'failed', error: error.message, code: error.code };
+  }
+}
+
+// Requests deletion of the Klaviyo profiles and deletes the customer's
+// consent audit records
+export async function redactCustomer(customer) {
+  const profiles = await findCustomerProfiles({ shopifyId: customer.id, email: customer.email });
+  const jobs = await Promise.all(profiles.map(requestProfileDeletion));
+  const auditRecordsDeleted = await deleteAudit({
+    email: customer.email,
+    shopifyId: customer.id ? String(customer.id) : null,
+  });
+
+  let status = 'requested';
+  if (!jobs.length) status = 'not_found';
+  else if (jobs.some(job => job.status === 'failed')) status = 'failed';
+
+  return { status, jobs, auditRecordsDeleted };
+}
+
+// Exports are kept for the merchant to collect later, and a redaction must
+// find every export of the customer, which a per-instance store can't promise
+export function requirePrivacyStore() {
+  if (!isSharedStore()) {
+    throw new ApiError('PRIVACY_STORE_REQUIRED', 'Compliance webhooks need a shared store', 503);
+  }
+}
+
+function shopIndexKey(shop) {
+  return `privacy-index:${shop}`;
+}
+
+function privacyRecordKey(shop, kind, id) {
+  return `privacy:${kind}:${shop}:${id}`;
+}
+
+// Stored as `privacy:<kind>:<shop>:<id>`. The store can't list keys, so each
+// shop's keys are also kept in an index for deleteShopPrivacyRecords(); it is
+// refreshed with every record and so outlives all of them.
+export async function savePrivacyRecord(shop, kind, id, record) {
+  const store = getStore();
+  const key = privacyRecordKey(shop, kind, id);
+  const entry = { ...record, recordedAt: new Date().toISOString() };
+  await store.set(key, entry, PRIVACY_RECORD_TTL_SECONDS);
+
+  const keys = (await store.get(shopIndexKey(shop))) || [];
+  await store.set(shopIndexKey(shop), [...new Set([...keys, key])], PRIVACY_RECORD_TTL_SECONDS);
+  return entry;
+}
+
+export async function getPrivacyRecord(shop, kind, id) {
+  return await getStore().get(privacyRecordKey(shop, kind, id));
+}
+
+// For customers/redact: the customer's stored data request exports, matched
+// by Shopify ID or email. Returns how many were deleted.
+export async function deleteCustomerDataExports(shop, { id, email }) {
+  const store = getStore();
+  const shopifyId = id ? String(id) : null;
+  const normalizedEmail = email ? String(email).toLowerCase() : null;
+  const prefix = privacyRecordKey(shop, 'data-request', '');
+
+  const keys = (await store.get(shopIndexKey(shop))) || [];
+  const deleted = [];
+  for (const key of keys.filter(k => k.startsWith(prefix))) {
+    const customer = (await store.get(key))?.export?.customer;
+    if (!customer) continue;
+    const matches = (shopifyId && customer.shopifyId === shopifyId)
+      || (normalizedEmail && customer.email?.toLowerCase() === normalizedEmail);
+    if (!matches) continue;
+    await store.delete(key);
+    deleted.push(key);
+  }
+
+  if (deleted.length) {
+    await store.set(shopIndexKey(shop), keys.filter(key => !deleted.includes(key)), PRIVACY_RECORD_TTL_SECONDS);
+  }
+  return deleted.length;
+}
+
+// For shop/redact. Returns how many records were deleted.
+export async function deleteShopPrivacyRecords(shop) {
+  const store = getStore();
+  const keys = (await store.get(shopIndexKey(shop))) || [];
+  for (const key of keys) await store.delete(key);
+  await store.delete(shopIndexKey(shop));
+  return keys.length;
+}
@@ -0,0 +1,77 @@
+import { getManagedLists } from './lists.js';
+import { readPreferences, toMarketingPreference } from './preferences.js';
+import { profileVersion } from './profiles.js';
+import { readPause } from './pause.js';
+
+// Turns a Klaviyo profile (fetched with `additional-fields[profile]=subscriptions`)
+// into the shape the storefront renders.
+
+// Consent flags for one channel (`email` or `sms`) of Klaviyo's `subscriptions`.
+// `pendingSince` is when a double opt-in request was last sent, if any.
+export function formatConsent(channelSub = {}, pendingSince = null) {
+  const consent           = channelSub.marketing?.consent;
+  const isSubscribed      = consent === 'SUBSCRIBED';
+  const isUnsubscribed    = consent === 'UNSUBSCRIBED';
+  const isNeverSubscribed = !consent || consent === 'NEVER_SUBSCRIBED';
+  const isSuppressed      = consent === 'SUPPRESSED';
+
+  // When consent last changed; consent_timestamp if Klaviyo has no last_updated
+  const updatedAt = channelSub.marketing?.last_updated ?? channelSub.marketing?.consent_timestamp ?? null;
+
+  // Pending until consent changes after the request was made
+  const isPendingConfirmation = !!pendingSince && !isSubscribed && !isSuppressed
+    && (!updatedAt || Date.parse(updatedAt) < Date.parse(pendingSince));
+
+  return {
+    isSubscribed,
+    isUnsubscribed,
+    isNeverSubscribed,
+    isSuppressed,
+    isPendingConfirmation,
+    consent: consent || 'NEVER_SUBSCRIBED',
+    canSubscribe: isNeverSubscribed || isUnsubscribed,
+    timestamp: channelSub.marketing?.timestamp,
+    updatedAt,
+    ...(isPendingConfirmation && { pendingSince }),
+  };
+}
+
+// Pass the profile's list IDs to include membership of each managed list
+export function formatProfileResponse(profile, { listIds } = {}) {
+  if (!profile) return null;
+
+  const attrs         = profile.attributes || {};
+  const subscriptions = attrs.subscriptions || {};
+  const properties    = attrs.properties || {};
+  const preferences   = readPreferences(properties);
+
+  return {
+    id: profile.id,
+    version: profileVersion(profile),
+    email: attrs.email,
+    phoneNumber: attrs.phone_number,
+    firstName: attrs.first_name,
+    lastName: attrs.last_name,
+    subscription: {
+      // A pause (lib/pause.js) holds emails back without changing consent
+      email: {
+        ...formatConsent(subscriptions.email, properties.email_consent_pending_since),
+        ...readPause(properties),
+      },
+      sms: formatConsent(subscriptions.sms),
+    },
+    preferences: {
+      marketingPreference: toMarketingPreference(preferences.categories),
+      ...preferences,
+    },
+    ...(listIds && {
+      lists: getManagedLists().map(list => ({
+        id: list.id,
+        name: list.name,
+        description: list.description,
+        isDefault: list.isDefault,
+        isMember: listIds.has(list.id),
+      })),
+    }),
+  };
+}
@@ -0,0 +1,158 @@
+import crypto from 'node:crypto';
+import { klaviyoRequest, KlaviyoError } from './klaviyo.js';
+import { filterString } from './validation.js';
+import { ApiError } from './errors.js';
+
+const PROFILE_FIELDS = 'additional-fields[profile]=subscriptions';
+
+async function findProfile(filter) {
+  const data = await klaviyoRequest(`/profiles/?filter=${encodeURIComponent(filter)}&${PROFILE_FIELDS}`);
+  return data?.data?.[0] || null;
+}
+
+export async function getProfileByEmail(email) {
+  return await findProfile(`equals(email,${filterString(email)})`);
+}
+
+export async function getProfileByShopifyId(shopifyId) {
+  const profile = await findProfile(`equals(external_id,${filterString(`shopify_${shopifyId}`)})`);
+  if (profile) return profile;
+  return await findProfile(`equals(properties.shopify_customer_id,${filterString(shopifyId)})`);
+}
+
+// Shopify-linked profiles carry `external_id: shopify_<id>` and a
+// `shopify_customer_id` property so they can be found from either side.
+function buildProfileAttributes({ email, firstName, lastName, shopifyId, properties = {} }) {
+  return {
+    email,
+    ...(firstName && { first_name: firstName }),
+    ...(lastName && { last_name: lastName }),
+    ...(shopifyId && { external_id: `shopify_${shopifyId}` }),
+    properties: {
+      ...(shopifyId && { shopify_customer_id: shopifyId }),
+      ...properties,
+    },
+  };
+}
+
+// Klaviyo answers 409 with the existing profile's ID when the email (or
+// external_id) is taken, so that case becomes an update of that profile,
+// unless it is linked to a different Shopify customer: that answers
+// IDENTITY_CONFLICT rather than take it over. Returns the written profile,
+// subscriptions included, so callers don't need to fetch it again.
+export async function createOrUpdateProfile(fields) {
+  const attributes = buildProfileAttributes(fields);
+  try {
+    const data = await klaviyoRequest(`/profiles/?${PROFILE_FIELDS}`, {
+      method: 'POST',
+      body: JSON.stringify({ data: { type: 'profile', attributes } }),
+    });
+    return data?.data || null;
+  } catch (error) {
+    const duplicateId = error instanceof KlaviyoError && error.status === 409
+      && error.errors?.[0]?.meta?.duplicate_profile_id;
+    if (!duplicateId) throw error;
+
+    if (attributes.external_id) {
+      const duplicate = await klaviyoRequest(`/profiles/${duplicateId}/?fields[profile]=external_id`);
+      const externalId = duplicate?.data?.attributes?.external_id;
+      if (externalId && externalId !== attributes.external_id) {
+        throw new ApiError('IDENTITY_CONFLICT', 'This email address belongs to another profile', 409);
+      }
+    }
+
+    const data = await klaviyoRequest(`/profiles/${duplicateId}/?${PROFILE_FIELDS}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ data: { type: 'profile', id: duplicateId, attributes } }),
+    });
+    return data?.data || null;
+  }
+}
+
+// Create-or-update in one call via Klaviyo's profile import endpoint, which
+// matches an existing profile by email or external_id instead of returning 409.
+// Pass `profileId` to update a known profile even if its email has changed.
+export async function upsertProfile({ profileId, ...fields }) {
+  const payload = {
+    data: {
+      type: 'profile',
+      ...(profileId && { id: profileId }),
+      attributes: buildProfileAttributes(fields),
+    },
+  };
+  return await klaviyoRequest('/profile-import/', { method: 'POST', body: JSON.stringify(payload) });
+}
+
+// Klaviyo's limits for one bulk import job
+export const BULK_IMPORT_MAX_PROFILES = 10000;
+export const BULK_IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+
+export function bulkImportPayload(profiles) {
+  return {
+    data: {
+      type: 'profile-bulk-import-job',
+      attributes: {
+        profiles: {
+          data: profiles.map(fields => ({ type: 'profile', attributes: buildProfileAttributes(fields) })),
+        },
+      },
+    },
+  };
+}
+
+// Creates or updates many profiles (the same fields as createOrUpdateProfile)
+// in one asynchronous Klaviyo job. Profiles are matched by email or
+// external_id, as with upsertProfile.
+export async function bulkImportProfiles(profiles) {
+  return await klaviyoRequest('/profile-bulk-import-jobs/', {
+    method: 'POST',
+    body: JSON.stringify(bulkImportPayload(profiles)),
+  });
+}
+
+// Takes the same fields as createOrUpdateProfile, all optional. Returns the
+// updated profile, subscriptions included.
+export async function updateProfile(profileId, fields = {}) {
+  const payload = {
+    data: {
+      type: 'profile',
+      id: profileId,
+      attributes: buildProfileAttributes(fields),
+    },
+  };
+  const data = await klaviyoRequest(`/profiles/${profileId}/?${PROFILE_FIELDS}`, {
+    method: 'PATCH',
+    body: JSON.stringify(payload),
+  });
+  return data?.data || null;
+}
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// The profile's version, sent as its ETag. It changes whenever Klaviyo bumps
+// `updated` or the custom properties change, so a client holding an older
+// version can be told its copy is stale.
+export function profileVersion(profile) {
+  if (!profile) return null;
+  const { updated, properties } = profile.attributes || {};
+  const hash = crypto.createHash('sha256').update(canonicalJson([updated, properties || {}])).digest('base64url');
+  return `"${hash.slice(0, 27)}"`;
+}
+
+// Checks an If-Match value against the profile before writing. No value means
+// the client isn't checking; `*` only requires the profile to exist. Klaviyo
+// has no conditional writes, so this narrows the window for lost updates
+// rather than closing it.
+export function assertProfileVersion(profile, ifMatch) {
+  if (!ifMatch) return;
+  const versions = String(ifMatch).split(',').map(tag => tag.trim().replace(/^W\//, ''));
+  if (profile && (versions.includes('*') || versions.includes(profileVersion(profile)))) return;
+  throw new ApiError('PRECONDITION_FAILED', 'The profile has changed since it was loaded', 412);
+}
@@ -0,0 +1,16 @@
+import { getStore } from './store.js';
+
+// Fixed-window counter. `key` identifies what is being limited (e.g. an IP);
+// counts are kept in the shared store so limits hold across instances when a
+// Redis/KV store is configured.
+export async function checkRateLimit(key, { limit, windowSeconds }) {
+  const store = getStore();
+  const storeKey = `rate:${key}`;
+  const count = await store.increment(storeKey, windowSeconds);
+
+  if (count <= limit) {
+    return { allowed: true, remaining: limit - count };
+  }
+  const retryAfter = (await store.ttl(storeKey)) ?? windowSeconds;
+  return { allowed: false, remaining: 0, retryAfter };
+}
@@ -0,0 +1,117 @@
+import { klaviyoRequest, getKlaviyoConfig, KlaviyoError } from './klaviyo.js';
+import { requireTenant } from './tenants.js';
+
+// Deep readiness checks for /api/health?deep=true.
+//
+// Klaviyo has no endpoint that lists a key's scopes, so each scope is probed
+// with a request that needs it. Write probes send a payload Klaviyo will
+// reject as invalid: a 400/404 means the key got past the permission check,
+// while a 403 means the scope is missing. Nothing is ever written.
+
+const PROBE_CONFIG = { maxRetries: 0, timeoutMs: 5000 };
+const PLACEHOLDER_LIST_ID = 'readiness-check';
+
+const SCOPE_PROBES = [
+  { scope: 'profiles:read', endpoint: '/profiles/?page[size]=1' },
+  {
+    scope: 'profiles:write',
+    method: 'POST',
+    endpoint: '/profile-import/',
+    body: { data: { type: 'profile', attributes: {} } },
+  },
+  { scope: 'subscriptions:read', endpoint: '/profiles/?page[size]=1&additional-fields[profile]=subscriptions' },
+  { scope: 'lists:read', endpoint: '/lists/?fields[list]=name' },
+  {
+    scope: 'lists:write',
+    method: 'POST',
+    endpoint: `/lists/${PLACEHOLDER_LIST_ID}/relationships/profiles/`,
+    body: { data: [] },
+  },
+  {
+    scope: 'subscriptions:write',
+    method: 'POST',
+    endpoint: '/profile-subscription-bulk-create-jobs/',
+    body: { data: { type: 'profile-subscription-bulk-create-job', attributes: {} } },
+  },
+  {
+    scope: 'events:write',
+    method: 'POST',
+    endpoint: '/events/',
+    body: { data: { type: 'event', attributes: {} } },
+  },
+  {
+    scope: 'data-privacy:write',
+    method: 'POST',
+    endpoint: '/data-privacy-deletion-jobs/',
+    body: { data: { type: 'data-privacy-deletion-job', attributes: {} } },
+  },
+];
+
+async function timedRequest(endpoint, options = {}) {
+  const started = Date.now();
+  try {
+    const data = await klaviyoRequest(endpoint, { ...options, config: PROBE_CONFIG });
+    return { data, latencyMs: Date.now() - started };
+  } catch (error) {
+    return { error, latencyMs: Date.now() - started };
+  }
+}
+
+function classifyProbe({ error }) {
+  if (!error) return 'ok';
+  if (!(error instanceof KlaviyoError)) return 'error';
+  if (error.status === 401) return 'unauthorized';
+  if (error.status === 403) return 'missing';
+  if ([400, 404, 409, 422].includes(error.status)) return 'ok';
+  return 'error';
+}
+
+async function probeScope({ scope, method = 'GET', endpoint, body }) {
+  const result = await timedRequest(endpoint, {
+    method,
+    ...(body && { body: JSON.stringify(body) }),
+  });
+  return { scope, status: classifyProbe(result), latencyMs: result.latencyMs };
+}
+
+async function checkList(listId) {
+  if (!listId) return { status: 'not_configured' };
+
+  const { data, error } = await timedRequest(`/lists/${encodeURIComponent(listId)}/`);
+  if (!error) return { status: 'ok', id: listId, name: data?.data?.attributes?.name };
+  if (error.status === 404) return { status: 'missing', id: listId };
+  return { status: 'error', id: listId };
+}
+
+export async function checkKlaviyoReadiness() {
+  const { apiKey, revision } = getKlaviyoConfig();
+  const listId = requireTenant().newsletterListId;
+
+  if (!apiKey) {
+    return { ready: false, revision, credentials: 'missing', list: { status: 'not_checked' }, scopes: {}, failedScopes: [] };
+  }
+
+  const [probes, list] = await Promise.all([
+    Promise.all(SCOPE_PROBES.map(probeScope)),
+    checkList(listId),
+  ]);
+
+  // profiles:read doubles as the credentials check
+  const [credentialsProbe] = probes;
+  const credentials = probes.some(p => p.status === 'unauthorized') ? 'invalid'
+    : credentialsProbe.status === 'error' ? 'unreachable'
+    : 'ok';
+
+  const scopes = Object.fromEntries(probes.map(p => [p.scope, p.status]));
+  const failedScopes = probes.filter(p => p.status !== 'ok').map(p => p.scope);
+
+  return {
+    ready: credentials === 'ok' && list.status === 'ok' && failedScopes.length === 0,
+    revision,
+    latencyMs: credentialsProbe.latencyMs,
+    credentials,
+    list,
+    scopes,
+    failedScopes,
+  };
+}
@@ -0,0 +1,248 @@
+import { findProfile } from './identity.js';
+import { formatProfileResponse, formatConsent } from './profile-format.js';
+import { upsertProfile } from './profiles.js';
+import { importEmailConsent, unsubscribeProfile, consentChange } from './subscriptions.js';
+import { getShopifyClient, MAX_PAGE_SIZE } from './shopify-admin.js';
+import { recordAudit } from './audit.js';
+import { getStore, isSharedStore } from './store.js';
+import { requireTenant, tenantKey } from './tenants.js';
+import { ApiError } from './errors.js';
+
+// Consent reconciliation between Shopify and Klaviyo. Either side can change
+// without the other hearing about it (a Klaviyo footer unsubscribe never
+// reaches Shopify; a missed webhook never reaches Klaviyo), so this pages
+// through the store's customers, compares each one's emailMarketingConsent
+// with the email consent formatProfileResponse() reports, and lists the
+// disagreements. With `fix`, the losing side is brought in line.
+//
+// Who wins is the precedence (RECONCILE_PRECEDENCE):
+//
+//   'latest'  — the side whose consent changed most recently (the default).
+//               A side with no timestamp, or a tie, loses to the one that
+//               says not subscribed: withdrawing consent is the safe reading.
+//   'shopify' — Shopify is the record of consent
+//   'klaviyo' — Klaviyo is the record of consent
+//
+// A side that has never recorded a choice (Shopify NOT_SUBSCRIBED, Klaviyo
+// NEVER_SUBSCRIBED) loses under 'latest' whatever the timestamps say. Pending
+// double opt-ins on either side are skipped, and Klaviyo-suppressed profiles
+// are never resubscribed; those are left for someone to look at.
+//
+// Each run checks up to `limit` customers and saves its place, so the cron
+// job works through a large store a slice at a time and starts over once it
+// reaches the end. The place, the lock and the last report are kept in the
+// store, so runs are refused without a shared one: each instance would keep
+// its own cursor and lock.
+
+export const RECONCILE_SOURCE = 'Consent Reconciliation';
+export const RECONCILE_PRECEDENCES = ['latest', 'shopify', 'klaviyo'];
+const DEFAULT_PRECEDENCE = 'latest';
+export const DEFAULT_RECONCILE_LIMIT = 250;
+export const MAX_RECONCILE_LIMIT = 5000;
+
+const CURSOR_KEY = 'reconcile:cursor';
+const REPORT_KEY = 'reconcile:report';
+const LOCK_KEY = 'reconcile:lock';
+const REPORT_TTL_SECONDS = 30 * 24 * 60 * 60;
+// Longer than a function may run, so a crashed run can't hold the lock for long
+const LOCK_TTL_SECONDS = 15 * 60;
+
+// Shopify states that can't be compared: awaiting confirmation, or erased
+const UNCOMPARABLE_SHOPIFY_STATES = ['PENDING', 'REDACTED', 'INVALID'];
+
+export function getReconcilePrecedence() {
+  const precedence = process.env.RECONCILE_PRECEDENCE || DEFAULT_PRECEDENCE;
+  if (RECONCILE_PRECEDENCES.includes(precedence)) return precedence;
+  console.error(`Unknown reconcile precedence "${precedence}"; using "${DEFAULT_PRECEDENCE}"`);
+  return DEFAULT_PRECEDENCE;
+}
+
+function timeOf(value) {
+  const time = Date.parse(value || '');
+  return Number.isNaN(time) ? null : time;
+}
+
+function latestSide(shopify, klaviyo) {
+  if (shopify.state === 'NOT_SUBSCRIBED') return 'klaviyo';
+  if (klaviyo.consent === 'NEVER_SUBSCRIBED') return 'shopify';
+
+  const shopifyTime = timeOf(shopify.updatedAt);
+  const klaviyoTime = timeOf(klaviyo.updatedAt);
+  if (shopifyTime !== null && klaviyoTime !== null && shopifyTime !== klaviyoTime) {
+    return shopifyTime > klaviyoTime ? 'shopify' : 'klaviyo';
+  }
+  return shopify.subscribed ? 'klaviyo' : 'shopify';
+}
+
+// Compares one Shopify customer with their Klaviyo profile (null if they
+// have none). Returns `{ status: 'match' | 'skipped' }`, or for a
+// disagreement `{ status: 'mismatch', shopify, klaviyo, winner, action }`.
+export function compareConsent(customer, profile, precedence = getReconcilePrecedence()) {
+  const state = customer.emailMarketingConsent?.marketingState || 'NOT_SUBSCRIBED';
+  if (!customer.email || UNCOMPARABLE_SHOPIFY_STATES.includes(state)) return { status: 'skipped' };
+
+  const consent = formatProfileResponse(profile)?.subscription.email || formatConsent();
+  if (consent.isPendingConfirmation) return { status: 'skipped' };
+
+  const shopify = {
+    state,
+    subscribed: state === 'SUBSCRIBED',
+    updatedAt: customer.emailMarketingConsent?.consentUpdatedAt || null,
+  };
+  const klaviyo = {
+    profileId: profile?.id || null,
+    consent: consent.consent,
+    subscribed: consent.isSubscribed,
+    updatedAt: consent.updatedAt,
+  };
+  if (shopify.subscribed === klaviyo.subscribed) return { status: 'match' };
+
+  const winner = precedence === 'latest' ? latestSide(shopify, klaviyo) : precedence;
+  let action;
+  if (winner === 'shopify') {
+    action = shopify.subscribed ? 'subscribe_klaviyo' : 'unsubscribe_klaviyo';
+  } else {
+    action = klaviyo.subscribed ? 'subscribe_shopify' : 'unsubscribe_shopify';
+  }
+  // Suppressed addresses bounced or complained; only Klaviyo can lift that
+  if (action === 'subscribe_klaviyo' && consent.isSuppressed) action = 'manual';
+
+  return { status: 'mismatch', shopify, klaviyo, winner, action };
+}
+
+async function applyFix(req, customer, profile, { shopify, klaviyo, action }) {
+  const { email } = customer;
+  const shopifyId = customer.id;
+  const audit = { email, shopifyId, channels: ['email'], source: RECONCILE_SOURCE };
+
+  if (action === 'subscribe_klaviyo') {
+    // Link a new profile to the customer the way the webhook would
+    if (!profile) await upsertProfile({ email, shopifyId });
+    const { newsletterListId: listId } = requireTenant();
+    await importEmailConsent([{ email, consentedAt: shopify.updatedAt || new Date().toISOString() }], {
+      source: RECONCILE_SOURCE,
+      listId,
+    });
+    await recordAudit(req, { ...audit, listId, action: 'subscribe', ...consentChange(profile, ['email'], 'SUBSCRIBED') });
+    return;
+  }
+  if (action === 'unsubscribe_klaviyo') {
+    await unsubscribeProfile({ email });
+    await recordAudit(req, { ...audit, action: 'unsubscribe', ...consentChange(profile, ['email'], 'UNSUBSCRIBED') });
+    return;
+  }
+
+  const marketingState = action === 'subscribe_shopify' ? 'SUBSCRIBED' : 'UNSUBSCRIBED';
+  await getShopifyClient().updateEmailMarketingConsent(shopifyId, {
+    marketingState,
+    consentUpdatedAt: klaviyo.updatedAt,
+  });
+  await recordAudit(req, {
+    ...audit,
+    action: 'shopify_consent_update',
+    before: { email: shopify.state },
+    after: { email: marketingState },
+  });
+}
+
+function requireSharedStore() {
+  if (!isSharedStore()) {
+    throw new ApiError('RECONCILE_STORE_REQUIRED', 'Consent reconciliation needs a shared store', 503);
+  }
+}
+
+async function reconcileCustomer(req, customer, report, { fix, precedence }) {
+  const profile = customer.email ? await findProfile({ email: customer.email, shopifyId: customer.id }) : null;
+  const result = compareConsent(customer, profile, precedence);
+
+  if (result.status === 'match') report.matched++;
+  if (result.status === 'skipped') report.skipped++;
+  if (result.status !== 'mismatch') return;
+
+  const { status, ...details } = result;
+  const mismatch = { shopifyId: customer.id, email: customer.email, ...details, fixed: false };
+  report.mismatches.push(mismatch);
+
+  if (!fix || result.action === 'manual') return;
+  try {
+    await applyFix(req, customer, profile, result);
+    mismatch.fixed = true;
+    report.fixed++;
+  } catch (error) {
+    mismatch.error = error.message;
+  }
+}
+
+// Checks the next `limit` customers from where the last run stopped
+// (`restart` goes back to the first). Returns the run's report, which is also
+// kept for getReconcileReport(). Only one run per store at a time.
+export async function reconcileConsent(req, {
+  fix = false,
+  limit = DEFAULT_RECONCILE_LIMIT,
+  restart = false,
+  precedence = getReconcilePrecedence(),
+} = {}) {
+  requireSharedStore();
+  const store = getStore();
+  const lockKey = tenantKey(LOCK_KEY);
+  if (!await store.setIfAbsent(lockKey, Date.now(), LOCK_TTL_SECONDS)) {
+    throw new ApiError('RECONCILE_IN_PROGRESS', 'A reconciliation run is already in progress', 409);
+  }
+
+  const report = {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    fix,
+    precedence,
+    checked: 0,
+    matched: 0,
+    skipped: 0,
+    failed: 0,
+    fixed: 0,
+    complete: false,
+    mismatches: [],
+    errors: [],
+  };
+
+  try {
+    const client = getShopifyClient();
+    let cursor = restart ? null : await store.get(tenantKey(CURSOR_KEY));
+
+    while (report.checked < limit) {
+      const page = await client.listCustomers({ cursor, limit: Math.min(MAX_PAGE_SIZE, limit - report.checked) });
+      for (const customer of page.customers) {
+        report.checked++;
+        try {
+          await reconcileCustomer(req, customer, report, { fix, precedence });
+        } catch (error) {
+          report.failed++;
+          report.errors.push({ shopifyId: customer.id, email: customer.email, error: error.message });
+        }
+      }
+
+      cursor = page.nextCursor;
+      if (!cursor) {
+        report.complete = true;
+        await store.delete(tenantKey(CURSOR_KEY));
+        break;
+      }
+      // Saved after every page, so a run cut short doesn't repeat work
+      await store.set(tenantKey(CURSOR_KEY), cursor);
+    }
+  } catch (error) {
+    report.errors.push({ error: error.message });
+    throw error;
+  } finally {
+    report.finishedAt = new Date().toISOString();
+    await store.set(tenantKey(REPORT_KEY), report, REPORT_TTL_SECONDS);
+    await store.delete(lockKey);
+  }
+
+  return report;
+}
+
+// The report of the store's last run, or null
+export async function getReconcileReport() {
+  requireSharedStore();
+  return await getStore().get(tenantKey(REPORT_KEY));
+}
@@ -0,0 +1,39 @@
+import crypto from 'node:crypto';
+
+// Helpers for reading details of the incoming request.
+
+export function getClientIp(req) {
+  const forwarded = req.headers?.['x-forwarded-for'];
+  if (forwarded) return String(forwarded).split(',')[0].trim();
+  return req.headers?.['x-real-ip'] || req.socket?.remoteAddress || null;
+}
+
+// Uses the platform's request ID when there is one so logs line up with
+// Vercel's, otherwise generates one. Cached on the request.
+export function getRequestId(req) {
+  if (!req) return crypto.randomUUID();
+  if (!req.requestId) {
+    const header = req.headers?.['x-request-id'] || req.headers?.['x-vercel-id'];
+    req.requestId = header ? String(header).slice(0, 128) : crypto.randomUUID();
+  }
+  return req.requestId;
+}
+
+// The profile version a write expects (see assertProfileVersion): the
+// If-Match header, or a `version` field for clients that can't set headers.
+export function getExpectedVersion(req) {
+  return req.headers?.['if-match'] || req.body?.version || null;
+}
+
+// Reads an HTML form post (`application/x-www-form-urlencoded`). Vercel has
+// usually parsed it already; either way a repeated field becomes an array.
+export function parseFormBody(req) {
+  const { body } = req;
+  if (body && typeof body === 'object' && !Buffer.isBuffer(body)) return body;
+
+  const fields = {};
+  for (const [key, value] of new URLSearchParams(body ? String(body) : '')) {
+    fields[key] = key in fields ? [].concat(fields[key], value) : value;
+  }
+  return fields;
+}
@@ -0,0 +1,171 @@
+import { ApiError } from './errors.js';
+import { requireTenant } from './tenants.js';
+
+// Shopify Admin API access, for work that starts from the Shopify side
+// rather than from a request (consent reconciliation), or that needs
+// Shopify's own record of a customer (App Proxy sign-ups). The default client
+// calls the GraphQL Admin API for the current tenant's store
+// (SHOPIFY_SHOP_DOMAIN, or the first of its `shops`) with its
+// SHOPIFY_ADMIN_ACCESS_TOKEN, which needs the read_customers and
+// write_customers scopes.
+//
+// setShopifyClient() replaces it, e.g. with a client backed by an app's own
+// session storage. A client implements:
+//
+//   getCustomer(customerId) → { id, email } or null
+//   listCustomers({ cursor, limit })
+//     → { customers: [{ id, email, emailMarketingConsent }], nextCursor }
+//   updateEmailMarketingConsent(customerId, { marketingState, consentUpdatedAt })
+//
+// `id` is the numeric customer ID, and `emailMarketingConsent` is
+// `{ marketingState, consentUpdatedAt }` as in the Admin API.
+
+const DEFAULT_API_VERSION = '2025-01';
+const DEFAULT_TIMEOUT_MS = 10000;
+export const MAX_PAGE_SIZE = 250;
+
+const CUSTOMERS_QUERY = `
+  query Customers($first: Int!, $after: String) {
+    customers(first: $first, after: $after, sortKey: ID) {
+      nodes {
+        id
+        email
+        emailMarketingConsent { marketingState consentUpdatedAt }
+      }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+const CUSTOMER_QUERY = `
+  query Customer($id: ID!) {
+    customer(id: $id) { id email }
+  }
+`;
+
+const CONSENT_MUTATION = `
+  mutation ConsentUpdate($input: CustomerEmailMarketingConsentUpdateInput!) {
+    customerEmailMarketingConsentUpdate(input: $input) {
+      userErrors { field message }
+    }
+  }
+`;
+
+let clientOverride = null;
+
+export class ShopifyAdminError extends ApiError {
+  constructor(message, { code = 'SHOPIFY_UNAVAILABLE', status = 502, errors = [] } = {}) {
+    super(code, message, status);
+    this.name = 'ShopifyAdminError';
+    this.errors = errors;
+  }
+}
+
+export function getShopifyAdminConfig(tenant = requireTenant()) {
+  return {
+    shop: tenant.shops[0],
+    accessToken: tenant.shopifyAdminAccessToken,
+    apiVersion: process.env.SHOPIFY_ADMIN_API_VERSION || DEFAULT_API_VERSION,
+    timeoutMs: Number(process.env.SHOPIFY_ADMIN_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+  };
+}
+
+export function isShopifyAdminConfigured(tenant = requireTenant()) {
+  const { shop, accessToken } = getShopifyAdminConfig(tenant);
+  return !!(shop && accessToken) || !!clientOverride;
+}
+
+function toGid(customerId) {
+  return String(customerId).startsWith('gid://') ? String(customerId) : `gid://shopify/Customer/${customerId}`;
+}
+
+function fromGid(gid) {
+  return String(gid).split('/').pop();
+}
+
+async function graphql(config, query, variables) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), config.timeoutMs);
+
+  let response;
+  try {
+    response = await fetch(`https://${config.shop}/admin/api/${config.apiVersion}/graphql.json`, {
+      method: 'POST',
+      signal: controller.signal,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Access-Token': config.accessToken,
+      },
+      body: JSON.stringify({ query, variables }),
+    });
+  } catch (err) {
+    const reason = err.name === 'AbortError' ? `timed out after ${config.timeoutMs}ms` : `failed: ${err.message}`;
+    throw new ShopifyAdminError(`Shopify Admin API request ${reason}`);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new ShopifyAdminError(`Shopify Admin API error ${response.status}`, { errors: body?.errors || [] });
+  }
+  // Cost-based throttling answers 200 with a THROTTLED error
+  if (body?.errors?.length) {
+    const throttled = body.errors.some(error => error.extensions?.code === 'THROTTLED');
+    throw new ShopifyAdminError(body.errors[0].message || 'Shopify Admin API error', {
+      status: throttled ? 429 : 502,
+      errors: body.errors,
+    });
+  }
+  return body?.data;
+}
+
+export function createGraphqlClient(config) {
+  if (!config.shop || !config.accessToken) {
+    throw new ApiError('SHOPIFY_ADMIN_NOT_CONFIGURED', 'Shopify Admin API access is not configured', 503);
+  }
+
+  return {
+    async getCustomer(customerId) {
+      const data = await graphql(config, CUSTOMER_QUERY, { id: toGid(customerId) });
+      return data?.customer ? { ...data.customer, id: fromGid(data.customer.id) } : null;
+    },
+
+    async listCustomers({ cursor, limit = MAX_PAGE_SIZE } = {}) {
+      const data = await graphql(config, CUSTOMERS_QUERY, {
+        first: Math.min(limit, MAX_PAGE_SIZE),
+        after: cursor || null,
+      });
+      const { nodes, pageInfo } = data.customers;
+      return {
+        customers: nodes.map(node => ({ ...node, id: fromGid(node.id) })),
+        nextCursor: pageInfo.hasNextPage ? pageInfo.endCursor : null,
+      };
+    },
+
+    async updateEmailMarketingConsent(customerId, { marketingState, consentUpdatedAt }) {
+      const data = await graphql(config, CONSENT_MUTATION, {
+        input: {
+          customerId: toGid(customerId),
+          emailMarketingConsent: {
+            marketingState,
+            marketingOptInLevel: 'SINGLE_OPT_IN',
+            ...(consentUpdatedAt && { consentUpdatedAt }),
+          },
+        },
+      });
+      const [userError] = data.customerEmailMarketingConsentUpdate.userErrors;
+      if (userError) throw new ShopifyAdminError(userError.message, { code: 'SHOPIFY_REJECTED', status: 422 });
+    },
+  };
+}
+
+// The Admin API client for the current tenant
+export function getShopifyClient() {
+  return clientOverride || createGraphqlClient(getShopifyAdminConfig());
+}
+
+// Pass null to go back to the GraphQL client
+export function setShopifyClient(client) {
+  clientOverride = client;
+}
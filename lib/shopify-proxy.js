@@ -0,0 +1,112 @@
+import crypto from 'node:crypto';
+import { ApiError } from './errors.js';
+import { parseIdentity } from './validation.js';
+import { requireTenant } from './tenants.js';
+import { getProfileByEmail } from './profiles.js';
+import { IdentityConflictError } from './identity.js';
+import { getShopifyClient, isShopifyAdminConfigured } from './shopify-admin.js';
+
+// Shopify App Proxy support.
+//
+// When the store has an App Proxy secret (SHOPIFY_APP_PROXY_SECRET, or the
+// tenant's own), customer-facing handlers only accept requests forwarded by
+// the App Proxy. Shopify signs the query string with the app's shared secret
+// and adds `logged_in_customer_id`, which becomes the only trusted source of
+// the customer's identity.
+
+const DEFAULT_MAX_AGE_SECONDS = 300;
+
+export class ProxyAuthError extends ApiError {
+  constructor(code, message, status = 401) {
+    super(code, message, status);
+    this.name = 'ProxyAuthError';
+  }
+}
+
+export function isProxyModeEnabled() {
+  return !!requireTenant().appProxySecret;
+}
+
+// Shopify's algorithm: drop `signature`, join repeated keys' values with ",",
+// sort "key=value" pairs and concatenate them with no separator.
+function buildSignaturePayload(query) {
+  return Object.keys(query)
+    .filter(key => key !== 'signature')
+    .map(key => {
+      const value = query[key];
+      return `${key}=${Array.isArray(value) ? value.join(',') : value ?? ''}`;
+    })
+    .sort()
+    .join('');
+}
+
+export function verifyProxySignature(query, secret) {
+  const signature = query?.signature;
+  if (!signature || typeof signature !== 'string') return false;
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(buildSignaturePayload(query))
+    .digest('hex');
+
+  const a = Buffer.from(signature, 'utf8');
+  const b = Buffer.from(expected, 'utf8');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Returns the trusted customer identity for a proxied request, or throws a
+// ProxyAuthError with a stable `code` the storefront can branch on.
+export function authenticateProxyRequest(req) {
+  const secret = requireTenant().appProxySecret;
+  const query = req.query || {};
+
+  if (!query.signature) {
+    throw new ProxyAuthError('PROXY_SIGNATURE_MISSING', 'Request must be sent through the Shopify App Proxy');
+  }
+
+  if (!verifyProxySignature(query, secret)) {
+    throw new ProxyAuthError('PROXY_SIGNATURE_INVALID', 'Invalid App Proxy signature');
+  }
+
+  const maxAge = Number(process.env.SHOPIFY_APP_PROXY_MAX_AGE) || DEFAULT_MAX_AGE_SECONDS;
+  const timestamp = Number(query.timestamp);
+  if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > maxAge) {
+    throw new ProxyAuthError('PROXY_REQUEST_EXPIRED', 'App Proxy request has expired');
+  }
+
+  const customerId = query.logged_in_customer_id;
+  if (!customerId) {
+    throw new ProxyAuthError('CUSTOMER_NOT_LOGGED_IN', 'Customer must be logged in', 403);
+  }
+
+  return { shopifyId: String(customerId), shop: query.shop || null };
+}
+
+// Resolves who the request is acting on. Outside proxy mode this is whatever
+// the caller supplied (validated and canonicalized); in proxy mode the
+// Shopify ID always comes from the signed query and the caller-supplied email
+// is only returned as `claimedEmail`; see resolveProxiedEmail().
+export function resolveCustomerIdentity(req, input = {}) {
+  if (!isProxyModeEnabled()) {
+    return { ...parseIdentity(input), proxied: false };
+  }
+  const customer = authenticateProxyRequest(req);
+  const { email: claimedEmail } = parseIdentity({ email: input.email });
+  return { email: undefined, claimedEmail, shopifyId: customer.shopifyId, shop: customer.shop, proxied: true };
+}
+
+// The email to create a proxied customer's first Klaviyo profile with. With
+// Admin API access it is the one Shopify has for the customer. Otherwise the
+// claimed email is only accepted while no profile has it, so a logged-in
+// customer can't bind someone else's profile to their Shopify ID.
+export async function resolveProxiedEmail({ shopifyId, claimedEmail }) {
+  if (isShopifyAdminConfigured()) {
+    const customer = await getShopifyClient().getCustomer(shopifyId);
+    return customer?.email || null;
+  }
+  if (!claimedEmail) return null;
+  if (await getProfileByEmail(claimedEmail)) {
+    throw new IdentityConflictError('This email address belongs to another profile', null);
+  }
+  return claimedEmail;
+}
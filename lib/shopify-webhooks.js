@@ -0,0 +1,71 @@
+import crypto from 'node:crypto';
+import { getStore } from './store.js';
+import { ApiError } from './errors.js';
+import { requireTenant } from './tenants.js';
+
+// Shopify retries failed deliveries for up to 48 hours.
+const DEDUPE_TTL_SECONDS = 48 * 60 * 60;
+
+export class WebhookAuthError extends ApiError {
+  constructor(code, message) {
+    super(code, message, 401);
+    this.name = 'WebhookAuthError';
+  }
+}
+
+// The HMAC is computed over the exact bytes Shopify sent, so handlers must
+// disable body parsing and read the stream themselves.
+export async function readRawBody(req) {
+  if (Buffer.isBuffer(req.body)) return req.body;
+  if (typeof req.body === 'string') return Buffer.from(req.body, 'utf8');
+
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+export function verifyWebhookHmac(rawBody, hmacHeader, secret) {
+  if (!hmacHeader || !secret) return false;
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('base64');
+  const a = Buffer.from(hmacHeader, 'utf8');
+  const b = Buffer.from(expected, 'utf8');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Reads, authenticates and parses a webhook delivery.
+export async function readShopifyWebhook(req) {
+  const secret = requireTenant().webhookSecret;
+  const rawBody = await readRawBody(req);
+
+  if (!verifyWebhookHmac(rawBody, req.headers['x-shopify-hmac-sha256'], secret)) {
+    throw new WebhookAuthError('WEBHOOK_SIGNATURE_INVALID', 'Invalid webhook signature');
+  }
+
+  let payload = {};
+  try {
+    payload = rawBody.length ? JSON.parse(rawBody.toString('utf8')) : {};
+  } catch {
+    throw new ApiError('INVALID_JSON', 'Invalid webhook payload', 400);
+  }
+
+  return {
+    topic: req.headers['x-shopify-topic'],
+    shop: req.headers['x-shopify-shop-domain'],
+    webhookId: req.headers['x-shopify-webhook-id'],
+    payload,
+  };
+}
+
+// Records a delivery as being processed. Returns false for duplicates.
+export async function claimWebhook(webhookId) {
+  if (!webhookId) return true;
+  return await getStore().setIfAbsent(`shopify-webhook:${webhookId}`, Date.now(), DEDUPE_TTL_SECONDS);
+}
+
+// Lets Shopify's retry of a failed delivery be processed again.
+export async function releaseWebhook(webhookId) {
+  if (!webhookId) return;
+  await getStore().delete(`shopify-webhook:${webhookId}`);
+}
@@ -0,0 +1,141 @@
+// Small key-value store with TTLs for short-lived state such as processed
+// webhook IDs, job records and rate-limit counters.
+//
+// The memory store lives in module memory, so it is only shared between
+// requests served by the same warm serverless instance. Set KV_REST_API_URL
+// and KV_REST_API_TOKEN (Vercel KV / Upstash Redis) to share state across
+// instances.
+
+export function createMemoryStore() {
+  const entries = new Map();
+
+  function live(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  return {
+    shared: false,
+
+    async get(key) {
+      return live(key)?.value ?? null;
+    },
+
+    async set(key, value, ttlSeconds) {
+      entries.set(key, { value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null });
+    },
+
+    // Returns true when the key was written, false when it already existed.
+    async setIfAbsent(key, value, ttlSeconds) {
+      if (live(key)) return false;
+      await this.set(key, value, ttlSeconds);
+      return true;
+    },
+
+    // Increments a counter, starting its TTL on first use. Returns the count.
+    async increment(key, ttlSeconds) {
+      const entry = live(key);
+      if (!entry) {
+        await this.set(key, 1, ttlSeconds);
+        return 1;
+      }
+      entry.value += 1;
+      return entry.value;
+    },
+
+    async ttl(key) {
+      const entry = live(key);
+      if (!entry?.expiresAt) return null;
+      return Math.ceil((entry.expiresAt - Date.now()) / 1000);
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+// Sends one Redis command over the Upstash REST protocol, which Vercel KV
+// also speaks, and returns its result.
+export function createRedisCommand({ url, token }) {
+  const base = url.replace(/\/+$/, '');
+
+  return async function command(...args) {
+    const response = await fetch(base, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.error) {
+      throw new Error(`Redis ${args[0]} failed: ${data.error || response.status}`);
+    }
+    return data.result;
+  };
+}
+
+// Values are stored as JSON.
+export function createRedisStore({ url, token, prefix = 'kss:' }) {
+  const command = createRedisCommand({ url, token });
+  const k = key => `${prefix}${key}`;
+
+  return {
+    async get(key) {
+      const raw = await command('GET', k(key));
+      return raw == null ? null : JSON.parse(raw);
+    },
+
+    async set(key, value, ttlSeconds) {
+      const args = ['SET', k(key), JSON.stringify(value)];
+      if (ttlSeconds) args.push('EX', Math.ceil(ttlSeconds));
+      await command(...args);
+    },
+
+    async setIfAbsent(key, value, ttlSeconds) {
+      const args = ['SET', k(key), JSON.stringify(value), 'NX'];
+      if (ttlSeconds) args.push('EX', Math.ceil(ttlSeconds));
+      return (await command(...args)) === 'OK';
+    },
+
+    async increment(key, ttlSeconds) {
+      const count = await command('INCR', k(key));
+      if (count === 1 && ttlSeconds) await command('EXPIRE', k(key), Math.ceil(ttlSeconds));
+      return count;
+    },
+
+    async ttl(key) {
+      const seconds = await command('TTL', k(key));
+      return seconds >= 0 ? seconds : null;
+    },
+
+    async delete(key) {
+      await command('DEL', k(key));
+    },
+  };
+}
+
+let defaultStore = null;
+
+export function getStore() {
+  if (!defaultStore) {
+    const url = process.env.KV_REST_API_URL;
+    const token = process.env.KV_REST_API_TOKEN;
+    defaultStore = url && token ? createRedisStore({ url, token }) : createMemoryStore();
+  }
+  return defaultStore;
+}
+
+export function setStore(store) {
+  defaultStore = store;
+}
+
+// Whether every instance sees the same state. Stores passed to setStore()
+// are taken to be shared unless they say `shared: false`.
+export function isSharedStore() {
+  return getStore().shared !== false;
+}
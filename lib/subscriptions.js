@@ -0,0 +1,155 @@
+import { klaviyoRequest } from './klaviyo.js';
+import { upsertProfile } from './profiles.js';
+import { requireTenant } from './tenants.js';
+
+export const CHANNELS = ['email', 'sms'];
+export const ACCOUNT_PAGE_SOURCE = 'Shopify Account Page';
+export const EMAIL_LINK_SOURCE = 'Email Link';
+export const PREFERENCE_CENTER_SOURCE = 'Hosted Preference Center';
+export const UNAUTHENTICATED_SOURCE = 'Unauthenticated Request';
+
+// The source recorded for a change made through the JSON endpoints, from how
+// the caller was identified: a signed email link, the App Proxy, or nothing
+// at all. Never taken from the request, so the audit trail can rely on it.
+export function requestSource(identity) {
+  if (identity.linkTokenId) return EMAIL_LINK_SOURCE;
+  if (identity.proxied) return ACCOUNT_PAGE_SOURCE;
+  return UNAUTHENTICATED_SOURCE;
+}
+
+// Reads the `channels` request field; omitted means email only.
+export function parseChannels(input) {
+  if (input === undefined || input === null) return { channels: ['email'] };
+  const list = Array.isArray(input) ? input : [input];
+  const invalid = list.filter(channel => !CHANNELS.includes(channel));
+  if (!list.length || invalid.length) {
+    return { error: `channels must contain one or more of: ${CHANNELS.join(', ')}` };
+  }
+  return { channels: [...new Set(list)] };
+}
+
+// Marketing consent per channel before and after setting `channels` to
+// `consent`; other channels are unchanged.
+export function consentChange(profile, channels, consent) {
+  const before = {};
+  for (const channel of CHANNELS) {
+    before[channel] = profile?.attributes?.subscriptions?.[channel]?.marketing?.consent || 'NEVER_SUBSCRIBED';
+  }
+  const after = { ...before };
+  for (const channel of channels) after[channel] = consent;
+  return { before, after };
+}
+
+// Klaviyo's limit for one subscription job
+export const BULK_SUBSCRIBE_MAX_PROFILES = 1000;
+
+// `channels` chooses which marketing consents the job changes. SMS needs an
+// E.164 `phoneNumber`; email needs `email`. `consentedAt` dates consent
+// given in the past, for historical imports.
+function consentProfile({ email, phoneNumber, consentedAt }, consent, channels) {
+  const subscriptions = {};
+  for (const channel of channels) {
+    subscriptions[channel] = { marketing: { consent, ...(consentedAt && { consented_at: consentedAt }) } };
+  }
+  return {
+    type: 'profile',
+    attributes: {
+      ...(email && { email }),
+      ...(phoneNumber && { phone_number: phoneNumber }),
+      subscriptions,
+    },
+  };
+}
+
+// Records consent and adds the profile to `listId` (the newsletter list
+// unless another is given).
+export async function subscribeProfile({
+  email,
+  phoneNumber,
+  channels = ['email'],
+  source,
+  listId = requireTenant().newsletterListId,
+}) {
+  const payload = {
+    data: {
+      type: 'profile-subscription-bulk-create-job',
+      attributes: {
+        custom_source: source || ACCOUNT_PAGE_SOURCE,
+        profiles: {
+          data: [consentProfile({ email, phoneNumber }, 'SUBSCRIBED', channels)],
+        },
+      },
+      ...(listId && {
+        relationships: {
+          list: { data: { type: 'list', id: listId } },
+        },
+      }),
+    },
+  };
+  return await klaviyoRequest('/profile-subscription-bulk-create-jobs/', {
+    method: 'POST',
+    body: JSON.stringify(payload),
+  });
+}
+
+// Records consent collected before this integration existed, e.g. from a
+// Shopify export. Each profile needs `email` and `consentedAt`; as a
+// historical import it doesn't send double opt-in confirmations.
+export async function importEmailConsent(profiles, {
+  source,
+  listId = requireTenant().newsletterListId,
+}) {
+  const payload = {
+    data: {
+      type: 'profile-subscription-bulk-create-job',
+      attributes: {
+        custom_source: source,
+        historical_import: true,
+        profiles: {
+          data: profiles.map(profile => consentProfile(profile, 'SUBSCRIBED', ['email'])),
+        },
+      },
+      ...(listId && {
+        relationships: {
+          list: { data: { type: 'list', id: listId } },
+        },
+      }),
+    },
+  };
+  return await klaviyoRequest('/profile-subscription-bulk-create-jobs/', {
+    method: 'POST',
+    body: JSON.stringify(payload),
+  });
+}
+
+export async function unsubscribeProfile({ email, phoneNumber, channels = ['email'] }) {
+  const payload = {
+    data: {
+      type: 'profile-subscription-bulk-delete-job',
+      attributes: {
+        profiles: {
+          data: [consentProfile({ email, phoneNumber }, 'UNSUBSCRIBED', channels)],
+        },
+      },
+      // No list relationship — globally unsubscribes the profile
+    },
+  };
+  return await klaviyoRequest('/profile-subscription-bulk-delete-jobs/', {
+    method: 'POST',
+    body: JSON.stringify(payload),
+  });
+}
+
+// Double opt-in consent stays unchanged in Klaviyo until the customer clicks
+// the confirmation link, so the request is noted on the profile for
+// formatProfileResponse to report as pending.
+export async function markEmailConsentPending({ email, shopifyId, listId }) {
+  return await upsertProfile({
+    email,
+    shopifyId,
+    properties: {
+      email_consent_pending_since: new Date().toISOString(),
+      email_consent_pending_list_id: listId,
+    },
+  });
+}
@@ -0,0 +1,129 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import tenantConfig from '../config/tenants.js';
+import { ApiError } from './errors.js';
+
+// Multi-store support. A tenant is one Shopify store and the Klaviyo account,
+// lists and preference schema that go with it (config/tenants.js). With no
+// tenants configured the deployment serves a single store from env vars, as
+// the `default` tenant.
+//
+// withApi() works out the tenant for each request and runs the handler inside
+// runWithTenant(), so the Klaviyo client, lists and schema read the current
+// store from getCurrentTenant() instead of having it passed down every call.
+
+export const DEFAULT_TENANT_ID = 'default';
+
+const tenantStorage = new AsyncLocalStorage();
+
+function parseManagedLists(value) {
+  try {
+    const lists = JSON.parse(value || '[]');
+    return Array.isArray(lists) ? lists : [];
+  } catch {
+    console.error('KLAVIYO_MANAGED_LISTS is not valid JSON; ignoring it');
+    return [];
+  }
+}
+
+function envTenant() {
+  return {
+    id: DEFAULT_TENANT_ID,
+    name: null,
+    shops: process.env.SHOPIFY_SHOP_DOMAIN ? [process.env.SHOPIFY_SHOP_DOMAIN.toLowerCase()] : [],
+    allowedOrigins: [],
+    klaviyoPrivateApiKey: process.env.KLAVIYO_PRIVATE_API_KEY,
+    klaviyoPublicApiKey: process.env.KLAVIYO_PUBLIC_API_KEY,
+    newsletterListId: process.env.KLAVIYO_NEWSLETTER_LIST_ID,
+    managedLists: parseManagedLists(process.env.KLAVIYO_MANAGED_LISTS),
+    pausedSegmentId: process.env.KLAVIYO_PAUSED_SEGMENT_ID,
+    preferenceSchema: null,
+    emailChangePolicy: process.env.EMAIL_CHANGE_POLICY,
+    appProxySecret: process.env.SHOPIFY_APP_PROXY_SECRET,
+    webhookSecret: process.env.SHOPIFY_WEBHOOK_SECRET,
+    shopifyAdminAccessToken: process.env.SHOPIFY_ADMIN_ACCESS_TOKEN,
+  };
+}
+
+// The env var holding a tenant's own value of `name`, e.g.
+// KLAVIYO_PRIVATE_API_KEY_EU for `eu`
+export function tenantEnvVar(tenant, name) {
+  const id = typeof tenant === 'string' ? tenant : tenant.id;
+  if (id === DEFAULT_TENANT_ID) return name;
+  return `${name}_${id.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+}
+
+function configuredTenant(id, config) {
+  const secret = name => process.env[tenantEnvVar(id, name)];
+  return {
+    id,
+    name: config.name || id,
+    shops: (config.shops || []).map(shop => String(shop).toLowerCase()),
+    allowedOrigins: config.allowedOrigins || [],
+    klaviyoPrivateApiKey: secret('KLAVIYO_PRIVATE_API_KEY'),
+    klaviyoPublicApiKey: secret('KLAVIYO_PUBLIC_API_KEY'),
+    newsletterListId: config.newsletterListId,
+    managedLists: config.managedLists || [],
+    pausedSegmentId: config.pausedSegmentId,
+    preferenceSchema: config.preferenceSchema || null,
+    emailChangePolicy: config.emailChangePolicy || process.env.EMAIL_CHANGE_POLICY,
+    // One Shopify app installed on several stores shares its secrets
+    appProxySecret: secret('SHOPIFY_APP_PROXY_SECRET') || process.env.SHOPIFY_APP_PROXY_SECRET,
+    webhookSecret: secret('SHOPIFY_WEBHOOK_SECRET') || process.env.SHOPIFY_WEBHOOK_SECRET,
+    // Admin API tokens are issued per store
+    shopifyAdminAccessToken: secret('SHOPIFY_ADMIN_ACCESS_TOKEN'),
+  };
+}
+
+export function isMultiTenant() {
+  return Object.keys(tenantConfig).length > 0;
+}
+
+export function getTenants() {
+  if (!isMultiTenant()) return [envTenant()];
+  return Object.entries(tenantConfig).map(([id, config]) => configuredTenant(id, config));
+}
+
+export function findTenant(id) {
+  return getTenants().find(tenant => tenant.id === id) || null;
+}
+
+export function findTenantByShop(shop) {
+  const domain = String(shop || '').trim().toLowerCase();
+  if (!domain) return null;
+  return getTenants().find(tenant => tenant.shops.includes(domain)) || null;
+}
+
+// The tenant for `shop`, which must be one this deployment serves
+export function requireTenantForShop(shop) {
+  if (!shop) throw new ApiError('SHOP_REQUIRED', 'Could not tell which store this request is for');
+  const tenant = findTenantByShop(shop);
+  if (!tenant) throw new ApiError('UNKNOWN_SHOP', 'This store is not configured', 404);
+  return tenant;
+}
+
+export function runWithTenant(tenant, fn) {
+  return tenantStorage.run(tenant, fn);
+}
+
+// The tenant of the request being handled; with a single store that is
+// always the default one. Null when several stores are configured and none
+// has been chosen.
+export function getCurrentTenant() {
+  return tenantStorage.getStore() || (isMultiTenant() ? null : envTenant());
+}
+
+export function getCurrentTenantId() {
+  return getCurrentTenant()?.id || DEFAULT_TENANT_ID;
+}
+
+export function requireTenant() {
+  const tenant = getCurrentTenant();
+  if (!tenant) throw new ApiError('SHOP_REQUIRED', 'Could not tell which store this request is for');
+  return tenant;
+}
+
+// Prefixes a store key with the tenant, for state that must not be shared
+// between stores. Keys for the default tenant are left as they were.
+export function tenantKey(key, tenant = getCurrentTenant()) {
+  return !tenant || tenant.id === DEFAULT_TENANT_ID ? key : `${tenant.id}:${key}`;
+}
@@ -0,0 +1,39 @@
+import reasons from '../config/unsubscribe-reasons.js';
+import { translateSection, DEFAULT_LOCALE } from './i18n.js';
+import { optionalString } from './validation.js';
+import { ApiError } from './errors.js';
+
+// Why a customer unsubscribed: one of config/unsubscribe-reasons.js, plus
+// optional free text. Saved on the profile (latest only) and sent with the
+// unsubscribe event, so flows and reports can use it.
+
+export const REASON_PROPERTY = 'unsubscribe_reason';
+export const REASON_TEXT_PROPERTY = 'unsubscribe_reason_text';
+export const UNSUBSCRIBED_AT_PROPERTY = 'unsubscribed_at';
+export const MAX_REASON_TEXT_LENGTH = 500;
+
+// The reasons with labels in `locale`
+export function getUnsubscribeReasons(locale = DEFAULT_LOCALE) {
+  const labels = translateSection(locale, 'unsubscribeReasons');
+  return reasons.map(({ key, label }) => ({ key, label: labels[key] || label }));
+}
+
+// Reads `reason` and `reasonText` from a request body or form. Returns null
+// when neither was given.
+export function parseUnsubscribeReason({ reason, reasonText } = {}) {
+  const key = optionalString(reason, 'reason');
+  if (key && !reasons.some(r => r.key === key)) {
+    throw new ApiError('INVALID_REASON', `reason must be one of: ${reasons.map(r => r.key).join(', ')}`);
+  }
+  const text = optionalString(reasonText, 'reasonText', MAX_REASON_TEXT_LENGTH);
+  if (!key && !text) return null;
+  return { reason: key || null, reasonText: text || null };
+}
+
+export function reasonProperties({ reason, reasonText }, now = new Date()) {
+  return {
+    [REASON_PROPERTY]: reason,
+    [REASON_TEXT_PROPERTY]: reasonText,
+    [UNSUBSCRIBED_AT_PROPERTY]: now.toISOString(),
+  };
+}
@@ -0,0 +1,112 @@
+import customerProperties from '../config/customer-properties.js';
+import { ApiError } from './errors.js';
+
+// Input validation shared by every handler. Invalid input throws a
+// ValidationError with a stable `code`.
+
+const EMAIL_PATTERN = /^[^\s@"\\]+@[^\s@"\\]+\.[^\s@"\\]+$/;
+const SHOPIFY_GID_PATTERN = /^gid:\/\/shopify\/Customer\/(\d+)$/;
+const MAX_STRING_LENGTH = 255;
+
+export class ValidationError extends ApiError {
+  constructor(code, message) {
+    super(code, message, 400);
+    this.name = 'ValidationError';
+  }
+}
+
+// Trims and lowercases the domain (the local part is left as typed, since
+// some providers treat it case-sensitively). Returns null when invalid.
+export function canonicalizeEmail(input) {
+  if (typeof input !== 'string') return null;
+  const trimmed = input.trim();
+  const at = trimmed.lastIndexOf('@');
+  if (at < 1 || trimmed.length > 254) return null;
+
+  const email = `${trimmed.slice(0, at)}@${trimmed.slice(at + 1).toLowerCase()}`;
+  return EMAIL_PATTERN.test(email) ? email : null;
+}
+
+// Accepts a numeric ID or a `gid://shopify/Customer/<id>` GID and returns
+// the numeric ID as a string. Returns null when invalid.
+export function normalizeShopifyId(input) {
+  if (typeof input === 'number' && Number.isSafeInteger(input) && input > 0) return String(input);
+  if (typeof input !== 'string') return null;
+  const trimmed = input.trim();
+  if (/^\d{1,20}$/.test(trimmed)) return trimmed;
+  return trimmed.match(SHOPIFY_GID_PATTERN)?.[1] || null;
+}
+
+export function requireEmail(input) {
+  const email = canonicalizeEmail(input);
+  if (!email) throw new ValidationError('INVALID_EMAIL', 'Invalid email format');
+  return email;
+}
+
+export function requireShopifyId(input) {
+  const shopifyId = normalizeShopifyId(input);
+  if (!shopifyId) throw new ValidationError('INVALID_SHOPIFY_ID', 'Invalid Shopify customer ID');
+  return shopifyId;
+}
+
+// Validates whichever of `email` / `shopifyId` were supplied.
+export function parseIdentity({ email, shopifyId } = {}) {
+  return {
+    email: email ? requireEmail(email) : undefined,
+    shopifyId: shopifyId ? requireShopifyId(shopifyId) : undefined,
+  };
+}
+
+export function optionalString(value, field, maxLength = MAX_STRING_LENGTH) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value !== 'string' || value.length > maxLength) {
+    throw new ValidationError('INVALID_FIELD', `${field} must be a string of at most ${maxLength} characters`);
+  }
+  return value.trim();
+}
+
+// Quotes a value for use inside a Klaviyo filter expression, e.g.
+// `equals(email,${filterString(email)})`.
+export function filterString(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+export function getCustomerWritableProperties() {
+  const extra = (process.env.CUSTOMER_WRITABLE_PROPERTIES || '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean);
+  return new Set([...customerProperties, ...extra]);
+}
+
+function isAllowedValue(value) {
+  if (value === null || typeof value === 'boolean') return true;
+  if (typeof value === 'number') return Number.isFinite(value);
+  if (typeof value === 'string') return value.length <= MAX_STRING_LENGTH;
+  if (Array.isArray(value)) {
+    return value.length <= 50 && value.every(v => typeof v === 'string' && v.length <= MAX_STRING_LENGTH);
+  }
+  return false;
+}
+
+// Only allowlisted keys with simple values may be written by customers, so
+// internal fields such as `shopify_customer_id` can't be overwritten.
+export function sanitizeCustomerProperties(properties) {
+  if (properties === undefined || properties === null) return {};
+  if (typeof properties !== 'object' || Array.isArray(properties)) {
+    throw new ValidationError('INVALID_PROPERTIES', 'properties must be an object');
+  }
+
+  const allowed = getCustomerWritableProperties();
+  const rejected = Object.keys(properties).filter(key => !allowed.has(key));
+  if (rejected.length) {
+    throw new ValidationError('PROPERTY_NOT_ALLOWED', `These properties cannot be changed: ${rejected.join(', ')}`);
+  }
+
+  for (const [key, value] of Object.entries(properties)) {
+    if (!isAllowedValue(value)) {
+      throw new ValidationError('INVALID_PROPERTIES', `Invalid value for property: ${key}`);
+    }
+  }
+  return { ...properties };
+}
@@ -0,0 +1,172 @@
+/**
+ * Shopify Customer Backfill
+ * node scripts/backfill.js <export.csv|export.jsonl> [options]
+ *
+ * Imports customers from a Shopify customer export into Klaviyo: profiles
+ * linked by Shopify ID, preferences mapped from tags and metafields
+ * (config/backfill.js) and historical email consent. Rows that can't be
+ * imported are written to a report; progress is saved after every batch so
+ * an interrupted run picks up where it stopped.
+ *
+ *   --dry-run          Map every row and write the report without calling Klaviyo
+ *   --format <f>       csv or jsonl (default: from the file extension)
+ *   --batch-size <n>   Customers per batch, up to 10000 (default 1000)
+ *   --shop <domain>    The store to import into, with several configured
+ *   --list <id>        List to add consenting customers to (default: the newsletter list)
+ *   --checkpoint <p>   Progress file (default: <export>.checkpoint.json)
+ *   --report <p>       Row error report, JSON Lines (default: <export>.report.jsonl,
+ *                      or <export>.dry-run.jsonl with --dry-run)
+ *   --restart          Ignore the checkpoint and start from the first row
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import crypto from 'node:crypto';
+import { parseExport, normalizeCustomer, mapCustomer, importBatch } from '../lib/backfill.js';
+import { BULK_IMPORT_MAX_PROFILES } from '../lib/profiles.js';
+import { getTenants, isMultiTenant, requireTenantForShop, runWithTenant } from '../lib/tenants.js';
+
+const DEFAULT_BATCH_SIZE = 1000;
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+function readOptions() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+      format: { type: 'string' },
+      'batch-size': { type: 'string' },
+      shop: { type: 'string' },
+      list: { type: 'string' },
+      checkpoint: { type: 'string' },
+      report: { type: 'string' },
+      restart: { type: 'boolean', default: false },
+    },
+  });
+
+  const [file] = positionals;
+  if (!file) fail('Usage: node scripts/backfill.js <export.csv|export.jsonl> [--dry-run] [--shop <domain>] ...');
+
+  const format = values.format || (path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'jsonl');
+  if (!['csv', 'jsonl'].includes(format)) fail('--format must be csv or jsonl');
+
+  const batchSize = values['batch-size'] ? Number(values['batch-size']) : DEFAULT_BATCH_SIZE;
+  if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > BULK_IMPORT_MAX_PROFILES) {
+    fail(`--batch-size must be an integer from 1 to ${BULK_IMPORT_MAX_PROFILES}`);
+  }
+
+  return {
+    file,
+    format,
+    batchSize,
+    dryRun: values['dry-run'],
+    shop: values.shop,
+    listId: values.list,
+    checkpointPath: values.checkpoint || `${file}.checkpoint.json`,
+    reportPath: values.report || (values['dry-run'] ? `${file}.dry-run.jsonl` : `${file}.report.jsonl`),
+    restart: values.restart,
+  };
+}
+
+// A checkpoint only applies to the export it was written for
+function fingerprint(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function readCheckpoint({ checkpointPath, restart }, exportHash) {
+  if (restart || !fs.existsSync(checkpointPath)) return null;
+  const checkpoint = JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
+  if (checkpoint.exportHash !== exportHash) {
+    fail(`${checkpointPath} is for a different export; pass --restart to start over`);
+  }
+  return checkpoint;
+}
+
+function writeCheckpoint({ checkpointPath }, checkpoint) {
+  const temp = `${checkpointPath}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(checkpoint, null, 2));
+  fs.renameSync(temp, checkpointPath);
+}
+
+async function run(options) {
+  const text = fs.readFileSync(options.file, 'utf8');
+  const exportHash = fingerprint(text);
+  const records = parseExport(text, options.format);
+
+  const checkpoint = options.dryRun ? null : readCheckpoint(options, exportHash);
+  const stats = checkpoint?.stats || { imported: 0, subscribed: 0, failed: 0 };
+  let done = checkpoint?.rowsDone || 0;
+  if (done) console.log(`Resuming after row ${done} of ${records.length}`);
+
+  // A fresh run starts a fresh report; a resumed one adds to it
+  if (!done) fs.writeFileSync(options.reportPath, '');
+  const report = entry => {
+    fs.appendFileSync(options.reportPath, `${JSON.stringify(entry)}\n`);
+    stats.failed++;
+  };
+
+  // One request context for the run, so its audit records share a request ID
+  const req = { headers: { 'user-agent': 'scripts/backfill.js' } };
+
+  while (done < records.length) {
+    const batch = records.slice(done, done + options.batchSize);
+    const entries = [];
+
+    batch.forEach((record, index) => {
+      const row = done + index + 1;
+      let customer;
+      try {
+        customer = normalizeCustomer(record);
+        entries.push({ row, ...mapCustomer(customer) });
+      } catch (error) {
+        report({ row, shopifyId: customer?.shopifyId || null, email: customer?.email || null, code: error.code || 'INVALID_ROW', reason: error.message });
+      }
+    });
+
+    if (!options.dryRun && entries.length) {
+      const failures = await importBatch(req, entries, { listId: options.listId });
+      const failed = new Set(failures.map(failure => failure.row));
+      for (const failure of failures) {
+        const entry = entries.find(e => e.row === failure.row);
+        report({ ...failure, shopifyId: entry.profile.shopifyId || null, email: entry.profile.email });
+      }
+      for (const entry of entries) {
+        if (failed.has(entry.row)) continue;
+        stats.imported++;
+        if (entry.subscribed) stats.subscribed++;
+      }
+    } else {
+      stats.imported += entries.length;
+      stats.subscribed += entries.filter(entry => entry.subscribed).length;
+    }
+
+    done += batch.length;
+    if (!options.dryRun) writeCheckpoint(options, { exportHash, rowsDone: done, stats });
+    console.log(`${done}/${records.length} rows: ${stats.imported} imported, ${stats.subscribed} with consent, ${stats.failed} failed`);
+  }
+
+  const verb = options.dryRun ? 'Would import' : 'Imported';
+  console.log(`${verb} ${stats.imported} customers (${stats.subscribed} with email consent); ${stats.failed} rows failed`);
+  if (stats.failed) console.log(`See ${options.reportPath}`);
+}
+
+const options = readOptions();
+
+let tenant;
+try {
+  tenant = options.shop ? requireTenantForShop(options.shop) : getTenants()[0];
+} catch (error) {
+  fail(error.message);
+}
+if (isMultiTenant() && !options.shop) fail('Several stores are configured; choose one with --shop');
+options.listId = options.listId || tenant.newsletterListId;
+
+runWithTenant(tenant, () => run(options)).catch(error => {
+  console.error('Backfill failed:', error);
+  process.exit(1);
+});